@@ -1,6 +1,7 @@
 const LiteZ = {
   // Core properties with defaults
   components: {},
+  _componentTags: new Map(), // Lowercased component name -> registered name
   lifecycles: {},
   routes: {},
   middlewares: [],
@@ -11,334 +12,3351 @@ const LiteZ = {
   events: {},
   themes: { current: 'light', styles: {} },
   store: null,
+  filters: {
+    uppercase: (value) => String(value ?? '').toUpperCase(),
+    lowercase: (value) => String(value ?? '').toLowerCase(),
+    capitalize: (value) => String(value ?? '').replace(/^./, (char) => char.toUpperCase()),
+    json: (value, indent = 2) => JSON.stringify(value, null, indent),
+    currency: (value, symbol = '$', digits = 2) => `${symbol}${Number(value || 0).toFixed(digits)}`,
+  },
   sqlDB: null,
   noSQLDB: null,
   firebaseDB: null,
+  renderScheduler: 'microtask', // 'microtask' or 'frame'
+  linkActiveClass: 'z-link-active',
+  linkExactActiveClass: 'z-link-exact-active',
+  linkPrefetch: 'hover', // When z-links load their route's code: 'hover', 'visible' or false
+  currentRoute: null, // { path, name, route, params, query } of the route the router last rendered
+  _renderQueue: new Set(),
+  _flushPromise: null,
+  _activeObserver: null,
+  _batchDepth: 0,
+  _pendingEffects: new Set(),
+  _currentInstance: null, // Component whose setup is running; collects its subscriptions
+  _currentRouteSignal: null,
+  _mountedRoots: new Set(), // Top-level component instances, for devtools
+  _devtools: null,
+  _router: null,
+  _routerLinks: new Set(),
+  _hydrationStates: null, // Server state snapshots consumed in mount order while hydrating
+  _reactiveSignals: new WeakMap(),
+  _rawKey: Symbol('LiteZ.raw'),
+  _rootKey: Symbol('LiteZ.reactiveRoot'),
+  _iterateKey: Symbol('LiteZ.iterate'),
+  _signalNodeKey: Symbol('LiteZ.signal'),
+  _expressionCache: new Map(),
+  _arrayMutators: ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'],
 
   // ---- Component Management ----
-  createComponent(name, { template, setup = () => ({}), lifecycles = {}, lazy = false } = {}) {
+  // `asyncData(props, ui)` resolves extra state: awaited before streaming server rendering
+  // (renderRoute; the synchronous renderToString leaves it out), fetched after mounting on the
+  // client (unless the state was hydrated from the server).
+  createComponent(name, { template, setup = () => ({}), lifecycles = {}, lazy = false, reactive = false, asyncData = null } = {}) {
     if (!name || typeof template !== 'function') {
       this._logError('Invalid component definition. Name and template are required.');
       return;
     }
-    this.components[name] = { template, setup, lazy };
+    this.components[name] = { template, setup, lazy, reactive, asyncData };
+    if (!this._componentTags.has(name.toLowerCase())) this._componentTags.set(name.toLowerCase(), name);
     this.lifecycles[name] = lifecycles;
   },
 
-  // ---- State Management ----
-  createState(initialValue = {}, persistKey = null) {
-    let value = persistKey && this._loadPersistedState(persistKey) 
-      ? this._loadPersistedState(persistKey) 
-      : this._clone(initialValue);
-    const listeners = [];
+  // ---- Reactive Core (Signals) ----
+  // Reads inside a computed or effect are tracked automatically. Writes mark dependents
+  // stale first and only then run effects, so computeds are lazy and never observed mid-update.
+  createSignal(initialValue, { equals } = {}) {
+    const node = this._createSignalNode(initialValue, equals);
+    return {
+      [this._signalNodeKey]: node,
+      get: () => this._readNode(node),
+      set: (value) => this._writeNode(node, value),
+      peek: () => node.value,
+      subscribe: (callback) => this._watchNode(node, callback),
+      get value() { return this.get(); },
+      set value(newValue) { this.set(newValue); },
+    };
+  },
 
-    if (persistKey) this._persistState(persistKey, value);
+  batch(fn) {
+    this._batchDepth++;
+    try {
+      return fn();
+    } finally {
+      if (--this._batchDepth === 0) this._flushEffects();
+    }
+  },
+
+  untrack(fn) {
+    const prev = this._activeObserver;
+    this._activeObserver = null;
+    try {
+      return fn();
+    } finally {
+      this._activeObserver = prev;
+    }
+  },
+
+  _createSignalNode(value, equals = this._isSameValue) {
+    return { kind: 'signal', value, version: 0, observers: new Set(), equals };
+  },
 
+  _createComputedNode(fn, equals = this._isSameValue) {
     return {
-      get: (key) => (key ? value[key] : value),
-      set: (newValue) => {
-        value = this._merge(value, newValue);
-        if (persistKey) this._persistState(persistKey, value);
-        listeners.forEach((callback) => callback(value));
-      },
-      subscribe: (callback) => {
-        listeners.push(callback);
-        return () => listeners.splice(listeners.indexOf(callback), 1); // Unsubscribe
-      },
+      kind: 'computed', fn, value: undefined, version: 0, equals,
+      observers: new Set(), sources: new Map(), stale: true, initialized: false,
     };
   },
 
-  // ---- Reactive Refs ----
-  createRef(initialValue) {
-    const state = this.createState({ value: initialValue });
+  // An observer without `fn` only calls its scheduler; the caller re-runs it via _runTracked
+  _createObserver(fn = null, scheduler = null) {
+    return { kind: 'effect', fn, scheduler, sources: new Map(), stale: false, disposed: false, cleanup: null };
+  },
+
+  _createEffect(fn, scheduler = null) {
+    const effect = this._createObserver(fn, scheduler);
+    this._runEffect(effect);
+    return () => this._disposeObserver(effect);
+  },
+
+  _disposeObserver(observer) {
+    observer.disposed = true;
+    this._pendingEffects.delete(observer);
+    observer.sources.forEach((_, source) => source.observers.delete(observer));
+    observer.sources.clear();
+    if (typeof observer.cleanup === 'function') observer.cleanup();
+    observer.cleanup = null;
+  },
+
+  _readNode(node) {
+    if (node.kind === 'computed') this._refreshComputed(node);
+    const observer = this._activeObserver;
+    if (observer && !observer.disposed) {
+      observer.sources.set(node, node.version);
+      node.observers.add(observer);
+    }
+    return node.value;
+  },
+
+  _writeNode(node, value) {
+    if (node.equals(node.value, value)) return;
+    node.value = value;
+    node.version++;
+    this.batch(() => [...node.observers].forEach((observer) => this._markStale(observer)));
+  },
+
+  _watchNode(node, callback) {
+    let initialized = false;
+    return this._registerCleanup(this._createEffect(() => {
+      const value = this._readNode(node);
+      if (initialized) this.untrack(() => callback(value));
+      initialized = true;
+    }));
+  },
+
+  _markStale(observer) {
+    if (observer.stale) return;
+    observer.stale = true;
+    if (observer.kind === 'computed') {
+      observer.observers.forEach((child) => this._markStale(child));
+    } else {
+      this._pendingEffects.add(observer);
+    }
+  },
+
+  _sourcesChanged(observer) {
+    for (const [source, version] of observer.sources) {
+      if (source.kind === 'computed') this._refreshComputed(source);
+      if (source.version !== version) return true;
+    }
+    return false;
+  },
+
+  _refreshComputed(node) {
+    if (node.initialized && !node.stale) return;
+    if (node.initialized && !this._sourcesChanged(node)) {
+      node.stale = false;
+      return;
+    }
+    const value = this._runTracked(node, node.fn);
+    if (!node.initialized || !node.equals(node.value, value)) {
+      node.value = value;
+      node.version++;
+    }
+    node.initialized = true;
+  },
+
+  _runTracked(observer, fn) {
+    observer.sources.forEach((_, source) => source.observers.delete(observer));
+    observer.sources = new Map();
+    observer.stale = false;
+    const prev = this._activeObserver;
+    this._activeObserver = observer;
+    try {
+      return fn();
+    } finally {
+      this._activeObserver = prev;
+    }
+  },
+
+  _runEffect(effect) {
+    if (effect.disposed) return;
+    if (typeof effect.cleanup === 'function') effect.cleanup();
+    effect.cleanup = this._runTracked(effect, effect.fn);
+  },
+
+  _flushEffects() {
+    this._batchDepth++; // Writes made by effects are picked up by this loop
+    try {
+      while (this._pendingEffects.size) {
+        const effects = [...this._pendingEffects];
+        this._pendingEffects.clear();
+        effects.forEach((effect) => {
+          if (effect.disposed || !effect.stale) return;
+          // A failing effect is reported and stays subscribed; the others still run
+          try {
+            if (!this._sourcesChanged(effect)) {
+              effect.stale = false;
+            } else if (effect.scheduler) {
+              effect.scheduler(() => this._runEffect(effect));
+            } else {
+              this._runEffect(effect);
+            }
+          } catch (e) {
+            effect.stale = false;
+            this._logError(`Effect error: ${e.message}`);
+          }
+        });
+      }
+    } finally {
+      this._batchDepth--;
+    }
+  },
+
+  // Objects count as changed on every write since callers commonly mutate them in place
+  _isSameValue(a, b) {
+    return Object.is(a, b) && (a === null || typeof a !== 'object');
+  },
+
+  // ---- Component Management with .zjs Support ----
+  // .zjs files are compiled once per component: the template becomes a render function,
+  // `<style scoped>` is rewritten to a per-component attribute and the script runs once per
+  // instance as setup. The script is loaded as a module from a Blob URL instead of being
+  // eval'd; under a strict CSP (no blob: scripts either) precompile .zjs files ahead of time.
+  createComponentFromFile(fileURL, name) {
+    return fetch(fileURL)
+      .then(res => res.text())
+      .then(async content => {
+        const filename = String(fileURL).split('/').pop();
+        const compiled = this.compileZJS(content, { name, filename, baseURL: new URL(fileURL, document.baseURI).href });
+
+        let definition;
+        try {
+          definition = await this._importScript(compiled.script);
+        } catch (e) {
+          const line = compiled.lines.script + (this._scriptErrorLine(e) || 1) - 1;
+          throw new Error(`${filename}:${line} <script> failed to load: ${e.message}`);
+        }
+
+        return this.defineZJSComponent(name, compiled, definition);
+      })
+      .catch(err => this._logError(`Failed to load .zjs file: ${err.message}`));
+  },
+
+  // Compiles .zjs source into { render, segments, css, script, scopeId }. `script` is ES module code whose
+  // default export is the component definition (or, for <script setup>, the setup function).
+  // Relative imports are resolved against `baseURL`, or rewritten by a custom `resolveImport`.
+  compileZJS(source, { name = 'Anonymous', filename = `${name}.zjs`, baseURL = null, resolveImport = null } = {}) {
+    const resolve = resolveImport || (baseURL ? (spec) => new URL(spec, baseURL).href : null);
+    const blocks = this._parseZJS(source, filename);
+    // Not `data-z-`: that prefix marks directives
+    const scopeId = blocks.scoped ? `data-zs-${this._hash(`${filename}:${name}`)}` : null;
+    const segments = this._compileTemplate(blocks.template, { scopeId, filename, line: blocks.lines.template });
     return {
-      get value() { return state.get('value'); },
-      set value(newValue) { state.set({ value: newValue }); },
-      subscribe: state.subscribe,
+      name,
+      filename,
+      scopeId,
+      segments,
+      render: this._createRenderer(segments),
+      css: scopeId ? this._scopeCSS(blocks.style, scopeId) : blocks.style,
+      script: blocks.scriptSetup
+        ? this._transformScriptSetup(blocks.script, resolve)
+        : this._transformScript(blocks.script, resolve),
+      scriptSetup: blocks.scriptSetup,
+      lines: blocks.lines,
     };
   },
 
-  // ---- Hooks (React-inspired) ----
-  useEffect(callback, dependencies) {
-    let prevDeps = [];
-    const effect = () => {
-      const currentDeps = dependencies ? dependencies() : [];
-      if (!prevDeps.length || currentDeps.some((dep, i) => dep !== prevDeps[i])) {
-        callback();
-        prevDeps = currentDeps;
+  // Registers a compiled .zjs component through createComponent and returns its name. Takes
+  // what compileZJS returns (or just its JSON-safe `segments`, `css`, `scopeId` and
+  // `scriptSetup`, as modules generated by zjs-compile.js pass) and the script's default export.
+  defineZJSComponent(name, { render, segments, css, scopeId, scriptSetup = false }, definition) {
+    const renderTemplate = render || this._createRenderer(segments);
+    if (css) this._injectStyle(scopeId || name, css);
+    this.createComponent(name, {
+      template: (value, ui, context) => renderTemplate(this._instanceScope({ context }, value || {})),
+      ...this._zjsComponentOptions(definition, scriptSetup),
+    });
+    return name;
+  },
+
+  // Turns a loaded .zjs definition into createComponent options. Legacy scripts export a
+  // factory (or object) with data/methods/computed/lifecycles; <script setup> exports bindings.
+  _zjsComponentOptions(definition, scriptSetup = false) {
+    if (scriptSetup) {
+      const hook = (lifecycle) => (state, ui, context) => context[lifecycle]?.(state, ui);
+      return {
+        setup: (state, ui) => definition(state, ui) || {},
+        lifecycles: { onMount: hook('onMount'), onUpdate: hook('onUpdate'), onUnmount: hook('onUnmount') },
+      };
+    }
+    const componentDef = (typeof definition === 'function' ? definition() : definition) || {};
+    const methods = componentDef.methods || {};
+    const setupFn = (state) => {
+      if (componentDef.data) state.set(componentDef.data());
+      const computed = {};
+      for (const [key, fn] of Object.entries(componentDef.computed || {})) {
+        computed[key] = this.createComputed(state, fn);
+      }
+      const context = { state, computed, methods: {} };
+      for (const [key, fn] of Object.entries(methods)) {
+        context.methods[key] = fn.bind(context);
       }
+      return { ...context.methods, ...context };
     };
-    const unsubscribe = this.createState().subscribe(() => effect());
-    effect(); // Run on mount
-    return unsubscribe; // Cleanup
+    return { setup: setupFn, lifecycles: componentDef.lifecycles || {}, lazy: componentDef.lazy || false };
   },
 
-  // ---- Global Store ----
-  createStore({ state = {}, mutations = {}, actions = {} } = {}) {
-    const storeState = this.createState(state);
-    this.store = {
-      state: storeState,
-      commit: (type, payload) => {
-        if (mutations[type]) mutations[type](storeState, payload);
-      },
-      dispatch: async (type, payload) => {
-        if (actions[type]) return actions[type]({ state: storeState, commit: this.store.commit }, payload);
-      },
+  // ---- ZJS Parser ----
+  // Splits a .zjs file into its top-level <template>, <script> and <style> blocks, recording
+  // the line each block starts on so compile errors point into the .zjs source.
+  _parseZJS(content, filename = 'component.zjs') {
+    const result = {
+      template: '',
+      script: '() => ({})',
+      style: '',
+      scriptSetup: false,
+      scoped: false,
+      lines: { template: 1, script: 1, style: 1 },
     };
-    return this.store;
+    const lineAt = (index) => content.slice(0, index).split('\n').length;
+    const openTag = /<(template|script|style)(\s[^>]*)?>/g;
+    let match;
+    while ((match = openTag.exec(content))) {
+      const [tag, type, attrs = ''] = match;
+      const start = match.index + tag.length;
+      let end;
+      if (type === 'template') {
+        // Nested <template slot="..."> tags are allowed, so match closing tags by depth
+        const nested = /<(\/?)template(\s[^>]*)?>/g;
+        nested.lastIndex = start;
+        let depth = 1;
+        let inner;
+        while (depth && (inner = nested.exec(content))) depth += inner[1] ? -1 : 1;
+        end = depth ? -1 : inner.index;
+      } else {
+        end = content.indexOf(`</${type}>`, start);
+      }
+      if (end === -1) {
+        throw new SyntaxError(`${filename}:${lineAt(match.index)} Unclosed <${type}> block`);
+      }
+      const body = content.slice(start, end);
+      const leading = body.length - body.trimStart().length;
+      result[type] = body.trim();
+      result.lines[type] = lineAt(start + leading);
+      if (type === 'script') result.scriptSetup = /\bsetup\b/.test(attrs);
+      if (type === 'style') result.scoped = /\bscoped\b/.test(attrs);
+      openTag.lastIndex = content.indexOf('>', end) + 1;
+    }
+    if (!result.script) result.script = '() => ({})';
+    return result;
   },
 
-  // ---- Computed Properties with Memoization ----
-  createComputed(state, computeFn, memoize = true) {
-    let cache;
-    const computed = this.createState(memoize ? (cache = computeFn(state.get())) : computeFn(state.get()));
-    state.subscribe(() => {
-      const newValue = computeFn(state.get());
-      if (!memoize || JSON.stringify(newValue) !== JSON.stringify(cache)) {
-        cache = newValue;
-        computed.set(newValue);
+  _transformScript(script, resolve) {
+    // ES module scripts are kept; the legacy form is an expression returning the definition
+    const code = /^\s*(import|export)\s/m.test(script) ? script : `export default (${script});`;
+    return this._resolveImports(code, resolve);
+  },
+
+  // <script setup>: imports are hoisted and the body becomes a per-instance setup function
+  // (with `state` and `ui` in scope) returning every exported binding to the template. The
+  // body keeps the script's line numbers, so load errors can point into the .zjs source.
+  _transformScriptSetup(script, resolve) {
+    const imports = [];
+    const names = [];
+    let body = script.replace(/^\s*import\s[^;]*?(?:from\s*)?['"][^'"]+['"];?[ \t]*$/gm, (statement) => {
+      imports.push(statement.trim());
+      return statement.replace(/[^\n]/g, '');
+    });
+    body = body.replace(/^(\s*)export\s+(const|let|var)\s+(\{[^}]*\}|[A-Za-z_$][\w$]*)/gm, (_, indent, kind, binding) => {
+      if (binding.startsWith('{')) {
+        binding.slice(1, -1).split(',').forEach((part) => {
+          const local = part.split(':').pop().split('=')[0].trim();
+          if (local) names.push(local);
+        });
+      } else {
+        names.push(binding);
       }
+      return `${indent}${kind} ${binding}`;
     });
-    return computed;
+    body = body.replace(/^(\s*)export\s+((?:async\s+)?function\s*\*?|class)\s*([A-Za-z_$][\w$]*)/gm, (_, indent, kind, binding) => {
+      names.push(binding);
+      return `${indent}${kind.replace(/\s+/g, ' ').trim()} ${binding}`;
+    });
+    if (/^\s*export\s/m.test(body)) {
+      throw new SyntaxError('<script setup> only supports exporting named declarations');
+    }
+    // Imports are hoisted wherever they appear, so they can follow the function
+    const code = `export default function setup(state, ui) { ${body}\nreturn { ${names.join(', ')} };\n}\n${imports.join('\n')}\n`;
+    return this._resolveImports(code, resolve);
   },
 
-  // ---- Event Bus ----
-  on(event, callback) {
-    if (!this.events[event]) this.events[event] = [];
-    this.events[event].push(callback);
+  // Blob modules have no base URL and compiled modules may live elsewhere, so relative imports
+  // are rewritten to point at the original location
+  _resolveImports(code, resolve) {
+    if (!resolve) return code;
+    return code.replace(/(\bfrom\s*|\bimport\s*\(?\s*)(['"])(\.{1,2}\/[^'"]+)\2/g,
+      (_, prefix, quote, spec) => `${prefix}${quote}${resolve(spec)}${quote}`);
   },
-  emit(event, payload) {
-    if (this.events[event]) this.events[event].forEach((cb) => cb(payload));
+
+  // Line of a script load error within the script: Firefox reports it on syntax errors, other
+  // errors carry it in the first blob: frame of their stack. Null when the browser gives neither.
+  _scriptErrorLine(error) {
+    if (error?.lineNumber && String(error.fileName || 'blob:').startsWith('blob:')) return error.lineNumber;
+    const frame = /blob:\S+?:(\d+):\d+\)?$/m.exec(String(error?.stack || ''));
+    return frame ? Number(frame[1]) : null;
   },
-  off(event, callback) {
-    if (this.events[event]) {
-      this.events[event] = this.events[event].filter((cb) => cb !== callback);
+
+  async _importScript(code) {
+    const url = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+    try {
+      return (await import(url)).default;
+    } finally {
+      URL.revokeObjectURL(url);
     }
   },
 
-  // ---- i18n ----
-  initI18n({ locale = 'en', translations = {} } = {}) {
-    this.i18n.locale = locale;
-    this.i18n.translations = translations;
+  _injectStyle(id, css) {
+    if (typeof document === 'undefined') return;
+    let styleEl = document.head.querySelector(`style[data-z-style="${id}"]`);
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.setAttribute('data-z-style', id);
+      document.head.appendChild(styleEl);
+    }
+    styleEl.textContent = css;
   },
 
-  t(key, params = {}) {
-    const translation = this.i18n.translations[this.i18n.locale]?.[key] || key;
-    return this._replaceParams(translation, params);
-  },
+  // ---- Template Compiler ----
+  _voidTags: ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'],
+  _rawTextTags: ['script', 'style', 'textarea', 'title'],
 
-  // ---- Enhanced Routing ----
-  router(routes = {}, rootTarget = '#app') {
-    this.routes = this._normalizeRoutes(routes);
-    const routerInstance = {
-      navigate: (path, replace = false) => this._navigate(path, renderRoute, replace),
-      beforeEach: (guard) => this.globalMiddlewares.push(guard),
+  // Precompiles an HTML template with {{ }} interpolation into segments: literal HTML strings
+  // and parsed expressions. Syntax errors therefore surface at compile time with their .zjs
+  // line and column. Subtrees under data-z-for are left raw for the directive to expand per item.
+  // Segments are plain JSON, so the build-time compiler can embed them in generated modules.
+  _compileTemplate(source, { scopeId = null, filename = 'template', line = 1 } = {}) {
+    const ast = this._parseHTML(source, { filename, line, strict: true });
+    const segments = [];
+    const emit = (part) => {
+      if (typeof part === 'string' && typeof segments[segments.length - 1] === 'string') {
+        segments[segments.length - 1] += part;
+      } else {
+        segments.push(part);
+      }
     };
-
-    const normalizePath = (path) => window.location.protocol === 'file:' ? window.location.hash.slice(1) || '/' : path.replace(/^.*\/index\.html\/?/, '/');
-    const renderRoute = async (path) => {
-      const normalizedPath = normalizePath(path);
-      if (!this._isValidObject(this.routes)) {
-        this._logError('Routes not initialized. Rendering NotFound.');
-        this.vRender('NotFound', {}, rootTarget);
+    const emitText = (text, loc, inAttribute = false) => {
+      const literal = (str) => (inAttribute ? str.replace(/"/g, '&quot;') : str);
+      const pattern = /\{\{([\s\S]+?)\}\}/g;
+      let last = 0;
+      let match;
+      while ((match = pattern.exec(text))) {
+        emit(literal(text.slice(last, match.index)));
+        const before = text.slice(0, match.index).split('\n');
+        const exprLine = loc.line + before.length - 1;
+        const exprCol = before.length > 1 ? before[before.length - 1].length + 1 : loc.col + match.index;
+        emit(this._compileTemplateExpression(match[1], filename, exprLine, exprCol));
+        last = match.index + match[0].length;
+      }
+      emit(literal(text.slice(last)));
+    };
+    const walk = (node, raw) => {
+      if (node.type === 'comment') return;
+      if (node.type === 'text') {
+        if (raw) emit(node.value);
+        else emitText(node.value, node);
         return;
       }
-
-      const { route, params } = this._matchRoute(normalizedPath);
-      const props = { ...route.props, params, query: this._parseQuery(window.location.search) };
-
-      for (const middleware of this.globalMiddlewares) {
-        const result = await middleware({ path: normalizedPath, props, route });
-        if (!result) {
-          this._log('Navigation stopped by global middleware');
+      const lower = node.tag.toLowerCase();
+      const rawChildren = raw || node.attrs.some((attr) => attr.name === 'data-z-for') || this._rawTextTags.includes(lower);
+      emit(`<${node.tag}`);
+      node.attrs.forEach((attr) => {
+        if (attr.value === null) {
+          emit(` ${attr.name}`);
           return;
         }
-        if (typeof result === 'string') {
-          routerInstance.navigate(result);
-          return;
+        emit(` ${attr.name}="`);
+        // Bindings, directives and handlers hold expressions evaluated later, not interpolation
+        if (raw || attr.name.startsWith(':') || attr.name.startsWith('data-z-') || attr.name === 'data-on') {
+          emit(attr.value.replace(/"/g, '&quot;'));
+        } else {
+          emitText(attr.value, attr, true);
         }
+        emit('"');
+      });
+      if (scopeId) emit(` ${scopeId}`);
+      emit('>');
+      if (this._voidTags.includes(lower)) return;
+      node.children.forEach((child) => walk(child, rawChildren));
+      emit(`</${node.tag}>`);
+    };
+    ast.children.forEach((child) => walk(child, false));
+    return segments;
+  },
+
+  _createRenderer(segments) {
+    return (scope = {}) => {
+      const lookup = this._scopeLookup(scope);
+      return segments.map((segment) => {
+        if (typeof segment === 'string') return segment;
+        try {
+          return this._escapeHTML(this._evalNode(segment.ast, lookup) ?? '');
+        } catch (e) {
+          this._logError(`${segment.location} ${e.message}`);
+          return '';
+        }
+      }).join('');
+    };
+  },
+
+  _compileTemplateExpression(source, filename, line, col) {
+    const location = `${filename}:${line}:${col}`;
+    try {
+      return { ast: this._parseExpression(source.trim()), location };
+    } catch (e) {
+      throw new SyntaxError(`${location} Invalid expression "{{${source}}}": ${e.message}`);
+    }
+  },
+
+  // A small HTML parser producing { type, tag, attrs: [{ name, value }], children, line, col }
+  // nodes without a DOM. Strict mode rejects mismatched tags; otherwise open elements are
+  // closed implicitly the way browsers recover.
+  _parseHTML(source, { filename = 'template', line = 1, strict = false } = {}) {
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) if (source[i] === '\n') lineStarts.push(i + 1);
+    const locate = (index) => {
+      let lo = 0;
+      let hi = lineStarts.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lineStarts[mid] <= index) lo = mid;
+        else hi = mid - 1;
       }
+      return { line: line + lo, col: index - lineStarts[lo] + 1 };
+    };
+    const fail = (message, index) => {
+      const loc = locate(index);
+      throw new SyntaxError(`${filename}:${loc.line}:${loc.col} ${message}`);
+    };
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let pos = 0;
 
-      for (const middleware of route.middlewares || []) {
-        const result = await middleware({ path: normalizedPath, props, route });
-        if (!result) {
-          this._log('Navigation stopped by route middleware');
-          return;
+    while (pos < source.length) {
+      const parent = stack[stack.length - 1];
+      if (source.startsWith('<!--', pos)) {
+        const end = source.indexOf('-->', pos + 4);
+        if (end === -1) fail('Unclosed comment', pos);
+        parent.children.push({ type: 'comment', value: source.slice(pos + 4, end), ...locate(pos) });
+        pos = end + 3;
+      } else if (source.startsWith('<!', pos)) {
+        const end = source.indexOf('>', pos);
+        pos = end === -1 ? source.length : end + 1; // Doctype
+      } else if (source.startsWith('</', pos)) {
+        const match = /^<\/([A-Za-z][\w:.-]*)\s*>/.exec(source.slice(pos));
+        if (!match) fail('Malformed closing tag', pos);
+        const tag = match[1].toLowerCase();
+        let index = stack.length - 1;
+        while (index > 0 && stack[index].tag.toLowerCase() !== tag) index--;
+        if (index === 0) {
+          if (strict) fail(`Unexpected closing tag </${match[1]}>`, pos);
+        } else {
+          if (strict && index !== stack.length - 1) {
+            const open = stack[stack.length - 1];
+            fail(`<${open.tag}> opened at line ${open.line} is not closed before </${match[1]}>`, pos);
+          }
+          stack.length = index;
         }
-        if (typeof result === 'string') {
-          routerInstance.navigate(result);
-          return;
+        pos += match[0].length;
+      } else if (source[pos] === '<' && /[A-Za-z]/.test(source[pos + 1] || '')) {
+        const start = pos;
+        const [tagSource, tag] = /^<([A-Za-z][\w:.-]*)/.exec(source.slice(pos));
+        const node = { type: 'element', tag, attrs: [], children: [], ...locate(pos) };
+        pos += tagSource.length;
+        for (;;) {
+          pos += /^\s*/.exec(source.slice(pos))[0].length;
+          if (pos >= source.length) fail(`Unclosed start tag <${tag}>`, start);
+          if (source[pos] === '>') {
+            pos++;
+            break;
+          }
+          if (source.startsWith('/>', pos)) {
+            pos += 2;
+            node.selfClosing = true;
+            break;
+          }
+          const attr = /^([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/.exec(source.slice(pos));
+          if (!attr) fail(`Invalid attribute in <${tag}>`, pos);
+          node.attrs.push({ name: attr[1], value: attr[2] ?? attr[3] ?? attr[4] ?? null, ...locate(pos) });
+          pos += attr[0].length;
+        }
+        const lower = tag.toLowerCase();
+        if (!strict && ['p', 'li', 'option', 'tr', 'td', 'th'].includes(lower) && parent.tag?.toLowerCase() === lower) {
+          stack.pop(); // Browsers close an open <p>/<li>/... when a sibling of the same kind starts
+          stack[stack.length - 1].children.push(node);
+        } else {
+          parent.children.push(node);
+        }
+        if (this._voidTags.includes(lower) || node.selfClosing) continue;
+        if (this._rawTextTags.includes(lower)) {
+          const close = source.toLowerCase().indexOf(`</${lower}`, pos);
+          if (close === -1) fail(`Unclosed <${tag}>`, start);
+          node.children.push({ type: 'text', value: source.slice(pos, close), ...locate(pos) });
+          pos = source.indexOf('>', close) + 1;
+          continue;
+        }
+        stack.push(node);
+      } else {
+        const start = pos;
+        while (pos < source.length) {
+          if (source.startsWith('{{', pos)) {
+            const end = source.indexOf('}}', pos + 2);
+            pos = end === -1 ? source.length : end + 2; // `<` inside {{ a < b }} is not a tag
+          } else if (source[pos] === '<' && pos > start && /[A-Za-z/!]/.test(source[pos + 1] || '')) {
+            break;
+          } else {
+            pos++;
+          }
         }
+        parent.children.push({ type: 'text', value: source.slice(start, pos), ...locate(start) });
+      }
+    }
+    if (strict && stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw new SyntaxError(`${filename}:${open.line}:${open.col} Unclosed <${open.tag}>`);
+    }
+    return root;
+  },
+
+  // Adds `[attribute]` to the last compound selector of every rule (before any pseudo-element);
+  // `:deep(.x)` escapes scoping for the part inside it. @media/@supports blocks are recursed.
+  _scopeCSS(css, attribute) {
+    const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    let output = '';
+    let pos = 0;
+    while (pos < source.length) {
+      const open = source.indexOf('{', pos);
+      if (open === -1) {
+        output += source.slice(pos);
+        break;
+      }
+      let depth = 1;
+      let close = open + 1;
+      while (close < source.length && depth) {
+        if (source[close] === '{') depth++;
+        if (source[close] === '}') depth--;
+        close++;
+      }
+      let prelude = source.slice(pos, open);
+      const statementEnd = prelude.lastIndexOf(';');
+      if (statementEnd !== -1) {
+        output += prelude.slice(0, statementEnd + 1); // e.g. @import
+        prelude = prelude.slice(statementEnd + 1);
+      }
+      const body = source.slice(open + 1, close - 1);
+      const selector = prelude.trim();
+      if (/^@(media|supports|container|layer)\b/.test(selector)) {
+        output += `${selector} {${this._scopeCSS(body, attribute)}}`;
+      } else if (selector.startsWith('@')) {
+        output += `${selector} {${body}}`;
+      } else {
+        const scoped = this._splitTopLevel(selector, ',').map((part) => this._scopeSelector(part.trim(), attribute));
+        output += `${scoped.join(', ')} {${body}}`;
+      }
+      pos = close;
+    }
+    return output.trim();
+  },
+
+  _scopeSelector(selector, attribute) {
+    const deep = selector.indexOf(':deep(');
+    if (deep !== -1) {
+      const before = selector.slice(0, deep).trim();
+      const inner = selector.slice(deep + 6, selector.lastIndexOf(')'));
+      return `${before ? this._scopeSelector(before, attribute) : `[${attribute}]`} ${inner}`;
+    }
+    const compounds = this._splitTopLevel(selector, /[\s>+~]/);
+    const last = compounds[compounds.length - 1];
+    const start = selector.lastIndexOf(last);
+    const pseudo = last.search(/::|:(before|after|first-line|first-letter)\b/);
+    const insertAt = start + (pseudo === -1 ? last.length : pseudo);
+    return `${selector.slice(0, insertAt)}[${attribute}]${selector.slice(insertAt)}`;
+  },
+
+  // Splits on a separator outside of (), [] and quotes
+  _splitTopLevel(str, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const char of str) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (!depth && (typeof separator === 'string' ? char === separator : separator.test(char))) {
+        if (current) parts.push(current);
+        current = '';
+        continue;
       }
+      current += char;
+    }
+    if (current) parts.push(current);
+    return parts;
+  },
 
-      if (this.components[route.component]?.lazy) await this.components[route.component].lazy();
-      this.vRender(route.component, props, rootTarget);
+  _hash(str) {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) hash = ((hash << 5) + hash + str.charCodeAt(i)) >>> 0;
+    return hash.toString(36);
+  },
+
+  // ---- State Management ----
+  createState(initialValue = {}, persistKey = null) {
+    let value = persistKey && this._loadPersistedState(persistKey) 
+      ? this._loadPersistedState(persistKey) 
+      : this._clone(initialValue);
+    const listeners = [];
+    const root = this._createSignalNode(0); // Tracks whole-value reads
+    const keys = new Map(); // Per-key signals, created on first read
+    const keyNode = (key) => {
+      if (!keys.has(key)) keys.set(key, this._createSignalNode(value?.[key]));
+      return keys.get(key);
     };
 
-    this._setupRouting(renderRoute);
-    renderRoute(window.location.pathname || window.location.hash.slice(1) || '/');
-    return routerInstance;
+    if (persistKey) this._persistState(persistKey, value);
+    const write = (newValue) => {
+      value = newValue;
+      if (persistKey) this._persistState(persistKey, value);
+      this.batch(() => {
+        this._writeNode(root, root.value + 1);
+        keys.forEach((node, key) => this._writeNode(node, value?.[key]));
+      });
+      listeners.forEach((callback) => callback(value));
+    };
+
+    return {
+      get: (key) => {
+        if (key) return this._readNode(keyNode(key));
+        this._readNode(root);
+        return value;
+      },
+      set: (newValue) => write(this._merge(value, newValue)),
+      // Swaps in `newValue` as a whole: keys it does not have are gone afterwards
+      replace: (newValue) => write(newValue),
+      // Tells readers and subscribers that objects in the value were changed in place
+      notify: () => write(value),
+      subscribe: (callback) => {
+        listeners.push(callback);
+        return this._registerCleanup(() => { // Unsubscribe
+          const index = listeners.indexOf(callback);
+          if (index !== -1) listeners.splice(index, 1);
+        });
+      },
+    };
   },
 
-  // ---- Enhanced Middleware ----
-  useMiddleware(middleware) {
-    if (typeof middleware === 'function') {
-      this.middlewares.push(middleware);
+  // ---- Deep Reactive Proxies ----
+  // Nested writes, array pushes and splices are tracked like signals and reported to
+  // watchReactive subscribers as { type, path, value, oldValue } (array methods carry `args`).
+  createReactive(initialValue = {}) {
+    const raw = this.toRaw(initialValue);
+    // `parents` links each nested object to the container and key it was last read from
+    const root = { raw, listeners: [], proxies: new WeakMap(), parents: new WeakMap(), muted: 0 };
+    return this._wrapReactive(raw, root);
+  },
+
+  watchReactive(reactive, callback) {
+    const root = reactive?.[this._rootKey];
+    if (!root) {
+      this._logError('watchReactive expects an object created by createReactive.');
+      return () => {};
     }
+    root.listeners.push(callback);
+    return this._registerCleanup(() => {
+      const index = root.listeners.indexOf(callback);
+      if (index !== -1) root.listeners.splice(index, 1);
+    });
   },
 
-  useGlobalMiddleware(middleware) {
-    if (typeof middleware === 'function') {
-      this.globalMiddlewares.push(middleware);
+  isReactive(value) {
+    return !!(value && typeof value === 'object' && value[this._rawKey]);
+  },
+
+  toRaw(value) {
+    return (value && typeof value === 'object' && value[this._rawKey]) || value;
+  },
+
+  _wrapReactive(raw, root) {
+    if (root.proxies.has(raw)) return root.proxies.get(raw);
+    const proxy = new Proxy(raw, {
+      get: (target, key, receiver) => {
+        if (key === this._rawKey) return target;
+        if (key === this._rootKey) return root;
+        if (Array.isArray(target) && this._arrayMutators.includes(key)) {
+          return (...args) => this._mutateReactiveArray(proxy, target, key, args, root);
+        }
+        const value = Reflect.get(target, key, receiver);
+        if (typeof key === 'symbol') return value;
+        this._trackReactive(target, key);
+        if (!this._isReactiveCandidate(value)) return value;
+        root.parents.set(value, { parent: target, key });
+        return this._wrapReactive(value, root);
+      },
+      set: (target, key, value) => {
+        const raw = this.toRaw(value);
+        const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+        const oldValue = target[key];
+        const oldLength = Array.isArray(target) ? target.length : 0;
+        target[key] = raw;
+        if (hadKey && Object.is(oldValue, raw) && key !== 'length') return true;
+        this.batch(() => {
+          this._triggerReactive(target, key);
+          if (!hadKey) this._triggerReactive(target, this._iterateKey);
+          if (Array.isArray(target) && key !== 'length' && target.length !== oldLength) {
+            this._triggerReactive(target, 'length');
+          }
+        });
+        this._notifyReactive(root, { type: 'set', path: [...this._reactivePath(target, root), key], value: raw, oldValue });
+        return true;
+      },
+      deleteProperty: (target, key) => {
+        if (!Object.prototype.hasOwnProperty.call(target, key)) return true;
+        const oldValue = target[key];
+        delete target[key];
+        this.batch(() => {
+          this._triggerReactive(target, key);
+          this._triggerReactive(target, this._iterateKey);
+        });
+        this._notifyReactive(root, { type: 'delete', path: [...this._reactivePath(target, root), key], oldValue });
+        return true;
+      },
+      has: (target, key) => {
+        if (typeof key !== 'symbol') this._trackReactive(target, key);
+        return Reflect.has(target, key);
+      },
+      // Own-key checks (template scopes) must also re-run when the key is added later
+      getOwnPropertyDescriptor: (target, key) => {
+        if (typeof key !== 'symbol') this._trackReactive(target, key);
+        return Reflect.getOwnPropertyDescriptor(target, key);
+      },
+      ownKeys: (target) => {
+        this._trackReactive(target, Array.isArray(target) ? 'length' : this._iterateKey);
+        return Reflect.ownKeys(target);
+      },
+    });
+    root.proxies.set(raw, proxy);
+    return proxy;
+  },
+
+  // Array methods report one change record instead of one per touched index
+  _mutateReactiveArray(proxy, target, method, args, root) {
+    root.muted++;
+    try {
+      const result = this.untrack(() => this.batch(() => Array.prototype[method].apply(proxy, args)));
+      root.muted--;
+      this._notifyReactive(root, { type: method, path: this._reactivePath(target, root), args, value: target });
+      return result;
+    } catch (e) {
+      root.muted--;
+      throw e;
     }
   },
 
-  // ---- Plugins ----
-  usePlugin(plugin) {
-    if (typeof plugin === 'function') {
-      this.plugins.push(plugin);
-      plugin(this);
+  // Where `raw` sits under the root right now. Objects move (splice, sort, reassignment), so
+  // each parent link is checked against its container and looked up again when stale.
+  _reactivePath(raw, root) {
+    const path = [];
+    const seen = new Set();
+    let current = raw;
+    while (current !== root.raw && !seen.has(current)) {
+      seen.add(current);
+      const link = root.parents.get(current);
+      if (!link) break;
+      if (link.parent[link.key] !== current) {
+        const { parent } = link;
+        const key = Array.isArray(parent)
+          ? parent.indexOf(current)
+          : Object.keys(parent).find((name) => parent[name] === current);
+        if (key !== -1 && key !== undefined) link.key = String(key);
+      }
+      path.unshift(link.key);
+      current = link.parent;
+    }
+    return path;
+  },
+
+  _trackReactive(target, key) {
+    if (!this._activeObserver) return;
+    if (!this._reactiveSignals.has(target)) this._reactiveSignals.set(target, new Map());
+    const nodes = this._reactiveSignals.get(target);
+    if (!nodes.has(key)) nodes.set(key, this._createSignalNode(0));
+    this._readNode(nodes.get(key));
+  },
+
+  _triggerReactive(target, key) {
+    const node = this._reactiveSignals.get(target)?.get(key);
+    if (node) this._writeNode(node, node.value + 1);
+  },
+
+  _notifyReactive(root, change) {
+    if (root.muted) return;
+    root.listeners.slice().forEach((callback) => callback(change));
+  },
+
+  _isReactiveCandidate(value) {
+    if (!value || typeof value !== 'object') return false;
+    return Array.isArray(value) || Object.prototype.toString.call(value) === '[object Object]';
+  },
+
+  // Gives a reactive proxy the get/set/subscribe shape vRender expects from createState
+  _reactiveState(initialValue) {
+    const proxy = this.createReactive(this._clone(initialValue));
+    return {
+      proxy,
+      get: (key) => (key ? proxy[key] : proxy),
+      set: (newValue) => this.batch(() => Object.assign(proxy, newValue)),
+      subscribe: (callback) => this.watchReactive(proxy, () => callback(proxy)),
+    };
+  },
+
+  // ---- Reactive Refs ----
+  createRef(initialValue) {
+    const signal = this.createSignal(initialValue);
+    return {
+      [this._signalNodeKey]: signal[this._signalNodeKey],
+      get value() { return signal.get(); },
+      set value(newValue) { signal.set(newValue); },
+      subscribe: signal.subscribe,
+    };
+  },
+
+  // ---- Hooks (React-inspired) ----
+  // Without `dependencies` the callback re-runs whenever a signal or state it read changes,
+  // and may return a cleanup function. With `dependencies` only those values are compared.
+  useEffect(callback, dependencies) {
+    if (!dependencies) return this._registerCleanup(this._createEffect(callback));
+    let prevDeps = null;
+    let cleanup;
+    const dispose = this._createEffect(() => {
+      const currentDeps = dependencies();
+      if (prevDeps && currentDeps.length === prevDeps.length
+        && currentDeps.every((dep, i) => Object.is(dep, prevDeps[i]))) return;
+      prevDeps = currentDeps;
+      this.untrack(() => {
+        if (typeof cleanup === 'function') cleanup();
+        cleanup = callback();
+      });
+    });
+    return this._registerCleanup(() => {
+      dispose();
+      if (typeof cleanup === 'function') {
+        cleanup();
+        cleanup = null;
+      }
+    });
+  },
+
+  // Registers teardown for the component whose setup is running; ignored outside setup
+  onUnmount(callback) {
+    if (!this._currentInstance) {
+      this._logError('onUnmount must be called during a component setup.');
+      return;
+    }
+    this._currentInstance.cleanups.push(callback);
+  },
+
+  // Subscriptions made during setup are released automatically when the component unmounts
+  _registerCleanup(dispose) {
+    if (this._currentInstance) this._currentInstance.cleanups.push(dispose);
+    return dispose;
+  },
+
+  // ---- Global Store ----
+  // One store per app. Each module (`modules: { cart: {...} }`, or store.registerModule at
+  // runtime) keeps its state under its name and its mutations, actions and getters under
+  // `cart/...`; inside the module, commit/dispatch names are local unless `{ root: true }`.
+  // Getters are computeds, so they only re-run when the state they read changes. With
+  // `strict`, store state changed anywhere but inside a mutation throws.
+  //
+  // Every commit and dispatch first passes through the `middlewares`, called as
+  // middleware({ kind: 'mutation' | 'action', type, payload }, next): they may rewrite the
+  // operation, skip it by not calling next(), or act on what next() returns. store.subscribe
+  // callbacks get (mutation, state) after each mutation; store.subscribeAction takes
+  // { before, after, error } hooks (or a before function) called with (action, state[, error]).
+  // `plugins` are functions called with the store once it is created.
+  createStore({
+    state = {}, mutations = {}, actions = {}, getters = {}, modules = {}, strict = false,
+    middlewares = [], plugins = [],
+  } = {}) {
+    if (this.store) {
+      this._logError('A store already exists. Add to it with store.registerModule() instead.');
+      return this.store;
+    }
+    const rootState = this.createState(state);
+    const registry = { mutations: {}, actions: {} };
+    const chain = [...middlewares];
+    const subscribers = [];
+    const actionSubscribers = [];
+    let committing = false;
+    const withCommit = (fn) => {
+      const previous = committing;
+      committing = true;
+      try {
+        return fn();
+      } finally {
+        committing = previous;
+      }
+    };
+    // Strict stores freeze what they hold, so they keep their own copy of what they are given
+    const write = (value, replace) => {
+      if (strict && !committing) throw new Error('Store state changed outside a mutation (strict mode).');
+      const owned = strict ? this._copyPlain(value) : value;
+      if (replace) rootState.replace(owned);
+      else rootState.set(owned);
+      if (strict) this._deepFreeze(rootState.get());
+    };
+    const storeState = {
+      get: rootState.get,
+      set: (value) => write(value, false),
+      subscribe: rootState.subscribe,
+    };
+    // Getters read state through these memos, compared by identity: module mutations copy the
+    // path they change, so a getter re-runs only when the part of the state it reads does
+    const slices = new Map();
+    const slice = (key, read) => {
+      if (!slices.has(key)) slices.set(key, this._createComputedNode(read, Object.is));
+      return this._readNode(slices.get(key));
+    };
+    const rootView = new Proxy({}, { // `rootState` for getters, tracked per root key
+      get: (_, key) => (typeof key === 'symbol' ? undefined : slice(`root:${key}`, () => rootState.get(key))),
+      has: (_, key) => this._hasOwn(rootState.get(), key),
+      ownKeys: () => Reflect.ownKeys(rootState.get() || {}),
+      getOwnPropertyDescriptor: (_, key) => (this._hasOwn(rootState.get(), key)
+        ? { value: rootState.get()[key], writable: false, enumerable: true, configurable: true }
+        : undefined),
+    });
+
+    const store = {
+      state: storeState,
+      getters: {},
+      _modules: new Map(), // Namespace ('' or 'cart/') -> { state, getters } seen by that module
+      commit: (type, payload) => runMiddlewares({ kind: 'mutation', type, payload }, ({ type, payload }) => {
+        const mutation = registry.mutations[type];
+        if (!mutation) {
+          this._logError(`Unknown mutation "${type}".`);
+          return;
+        }
+        const before = this._devtools && this._clone(rootState.get());
+        withCommit(() => mutation(payload));
+        this._devtools?.record('mutation', type, payload, before, rootState.get());
+        notify(subscribers, null, { type, payload });
+      }),
+      dispatch: async (type, payload) => runMiddlewares({ kind: 'action', type, payload }, async ({ type, payload }) => {
+        const action = registry.actions[type];
+        if (!action) {
+          this._logError(`Unknown action "${type}".`);
+          return;
+        }
+        const before = this._devtools && this._clone(rootState.get());
+        notify(actionSubscribers, 'before', { type, payload });
+        try {
+          const result = await action(payload);
+          this._devtools?.record('action', type, payload, before, rootState.get());
+          notify(actionSubscribers, 'after', { type, payload });
+          return result;
+        } catch (e) {
+          this._devtools?.record('action', type, payload, before, rootState.get(), e.message);
+          notify(actionSubscribers, 'error', { type, payload }, e);
+          throw e;
+        }
+      }),
+      // Each returns a function that removes what it added; made during setup, that happens
+      // when the component unmounts
+      subscribe: (callback) => addTo(subscribers, callback),
+      subscribeAction: (hooks) => addTo(actionSubscribers, typeof hooks === 'function' ? { before: hooks } : hooks),
+      use: (middleware) => addTo(chain, middleware),
+      // Swaps in a whole state snapshot (time travel, hydration), strict mode or not. Nothing
+      // is merged: keys the snapshot lacks are removed.
+      replaceState: (value) => withCommit(() => write(value, true)),
+      registerModule: (path, module) => install(this._modulePath(path), module),
+      unregisterModule: (path) => {
+        const keys = this._modulePath(path);
+        const namespace = `${keys.join('/')}/`;
+        if (!keys.length || !store._modules.has(namespace)) return;
+        [registry.mutations, registry.actions, store.getters].forEach((table) => {
+          Object.keys(table).filter((type) => type.startsWith(namespace)).forEach((type) => delete table[type]);
+        });
+        store._modules.forEach((_, name) => name.startsWith(namespace) && store._modules.delete(name));
+        slices.forEach((_, key) => key.startsWith(namespace) && slices.delete(key));
+        withCommit(() => storeState.set({ [keys[0]]: keys.length > 1 ? this._setIn(rootState.get(keys[0]), keys.slice(1), undefined) : undefined }));
+      },
+      hasModule: (path) => store._modules.has(`${this._modulePath(path).join('/')}/`),
+    };
+
+    const addTo = (list, item) => {
+      list.push(item);
+      return this._registerCleanup(() => {
+        const index = list.indexOf(item);
+        if (index !== -1) list.splice(index, 1);
+      });
+    };
+
+    const runMiddlewares = (operation, apply) => {
+      const step = (index, current) => {
+        if (index === chain.length) return apply(current);
+        return chain[index](current, (next = current) => step(index + 1, next));
+      };
+      return step(0, operation);
+    };
+
+    // A throwing subscriber is reported and skipped; the state change already happened
+    const notify = (list, hook, operation, error) => {
+      list.slice().forEach((subscriber) => {
+        const callback = hook ? subscriber[hook] : subscriber;
+        if (typeof callback !== 'function') return;
+        try {
+          callback(operation, storeState.get(), error);
+        } catch (e) {
+          this._logError(`Store subscriber failed: ${e.message}`);
+        }
+      });
+    };
+
+    const install = (path, module) => {
+      const namespace = path.length ? `${path.join('/')}/` : '';
+      if (path.length) {
+        const initial = typeof module.state === 'function' ? module.state() : this._clone(module.state || {});
+        withCommit(() => storeState.set({ [path[0]]: this._setIn(rootState.get(path[0]), path.slice(1), initial) }));
+      }
+      const local = this._moduleState(storeState, path);
+      const localGetters = {};
+      Object.entries(module.getters || {}).forEach(([name, getter]) => {
+        const computed = this.createComputed(() => getter(slice(namespace, () => local.get()), localGetters, rootView, store.getters));
+        const property = { get: () => computed.get(), enumerable: true, configurable: true };
+        Object.defineProperty(localGetters, name, property);
+        Object.defineProperty(store.getters, namespace + name, property);
+      });
+      const resolve = (type, options) => (options?.root ? type : namespace + type);
+      const context = {
+        state: local,
+        rootState: storeState,
+        getters: localGetters,
+        rootGetters: store.getters,
+        commit: (type, payload, options) => store.commit(resolve(type, options), payload),
+        dispatch: (type, payload, options) => store.dispatch(resolve(type, options), payload),
+      };
+      Object.entries(module.mutations || {}).forEach(([name, mutation]) => {
+        registry.mutations[namespace + name] = (payload) => mutation(local, payload);
+      });
+      Object.entries(module.actions || {}).forEach(([name, action]) => {
+        registry.actions[namespace + name] = (payload) => action(context, payload);
+      });
+      store._modules.set(namespace, { state: local, getters: localGetters });
+      Object.entries(module.modules || {}).forEach(([name, child]) => install([...path, name], child));
+    };
+
+    if (strict) this._deepFreeze(rootState.get());
+    install([], { mutations, actions, getters, modules });
+    this.store = store;
+    plugins.forEach((plugin) => plugin(store));
+    return this.store;
+  },
+
+  // `mapState`, `mapGetters` and `mapActions` are meant for setup(): spread the result into its
+  // return value. Maps are arrays of names or { alias: name } objects; mapState also takes
+  // { alias: (state, getters) => value }. State and getters come back as computeds.
+  mapState(namespace, map) {
+    return this._mapStore(namespace, map, (module, key) => this.createComputed(() => (
+      typeof key === 'function' ? key(module.state.get(), module.getters) : module.state.get(key)
+    )));
+  },
+
+  mapGetters(namespace, map) {
+    return this._mapStore(namespace, map, (module, key) => this.createComputed(() => module.getters[key]));
+  },
+
+  mapActions(namespace, map) {
+    return this._mapStore(namespace, map, (module, key, prefix) => (payload) => this.store.dispatch(prefix + key, payload));
+  },
+
+  _mapStore(namespace, map, bind) {
+    if (typeof namespace !== 'string') [namespace, map] = ['', namespace];
+    const prefix = namespace ? `${namespace.replace(/\/$/, '')}/` : '';
+    const module = this.store?._modules.get(prefix);
+    if (!module) {
+      this._logError(this.store ? `No store module "${namespace}".` : 'No store. Call createStore() first.');
+      return {};
+    }
+    const entries = Array.isArray(map) ? map.map((key) => [key, key]) : Object.entries(map || {});
+    return Object.fromEntries(entries.map(([alias, key]) => [alias, bind(module, key, prefix)]));
+  },
+
+  _modulePath(path) {
+    return (Array.isArray(path) ? path : String(path).split('/')).filter(Boolean);
+  },
+
+  // get/set/subscribe over the slice of `state` at `path` (the whole state for the root)
+  _moduleState(state, path) {
+    if (!path.length) return state;
+    const read = () => path.slice(1).reduce((value, key) => value?.[key], state.get(path[0]));
+    return {
+      get: (key) => (key ? read()?.[key] : read()),
+      set: (value) => state.set({ [path[0]]: this._setIn(state.get(path[0]), path.slice(1), this._merge(read(), value)) }),
+      subscribe: (callback) => state.subscribe(() => callback(read())),
+    };
+  },
+
+  // Strict stores freeze their state, so in-place edits fail instead of going unnoticed. Only
+  // plain objects and arrays are frozen; the store copies those (_copyPlain) before it holds them.
+  _deepFreeze(value) {
+    if (!(Array.isArray(value) || this._isPlainObject(value)) || Object.isFrozen(value)) return value;
+    Object.freeze(value);
+    Object.values(value).forEach((item) => this._deepFreeze(item));
+    return value;
+  },
+
+  // Copies plain objects and arrays all the way down. Frozen ones are already store-owned (or
+  // immutable anyway) and are shared; other values such as dates or class instances are kept.
+  _copyPlain(value) {
+    if (!(Array.isArray(value) || this._isPlainObject(value)) || Object.isFrozen(value)) return value;
+    if (Array.isArray(value)) return value.map((item) => this._copyPlain(item));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._copyPlain(item)]));
+  },
+
+  _isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  },
+
+  // ---- Devtools ----
+  // Opt-in overlay: LiteZ.devtools() logs store mutations and actions with their payload and
+  // state diff. Any entry can be jumped to (the store gets the state it left behind) or
+  // replayed (the state before it, then its mutation and every later one committed again).
+  // A second tab lists the mounted component tree with live state.
+  devtools({ limit = 200, open = false } = {}) {
+    if (this._devtools) return this._devtools;
+    const entries = [];
+    let nextId = 1;
+    let paused = false; // Store changes made by jumping or replaying are not logged
+    let panel = null;
+    const snapshot = (value) => {
+      try {
+        return this._clone(this.toRaw(value) ?? null);
+      } catch (e) {
+        return '[unserializable]';
+      }
+    };
+    const refresh = () => panel?.set({ entries: entries.slice() });
+    const travel = (fn) => {
+      if (!this.store) return;
+      paused = true;
+      try {
+        fn(this.store);
+      } finally {
+        paused = false;
+      }
+    };
+
+    const controller = {
+      record: (kind, type, payload, before, after, error = null) => {
+        if (paused) return;
+        const entry = { id: nextId++, kind, type, payload: snapshot(payload), before, after: snapshot(after), error };
+        entry.diff = this._diffState(entry.before, entry.after);
+        entries.push(entry);
+        if (entries.length > limit) entries.shift();
+        panel?.set({ current: null });
+        refresh();
+      },
+      jumpTo: (id) => {
+        const entry = entries.find((item) => item.id === id);
+        if (!entry) return;
+        travel((store) => store.replaceState(snapshot(entry.after)));
+        panel?.set({ current: id });
+      },
+      replay: (id) => {
+        const index = entries.findIndex((item) => item.id === id);
+        if (index === -1) return;
+        travel((store) => {
+          store.replaceState(snapshot(entries[index].before));
+          entries.slice(index).filter((item) => item.kind === 'mutation')
+            .forEach((item) => store.commit(item.type, snapshot(item.payload)));
+        });
+        panel?.set({ current: null });
+      },
+      clear: () => {
+        entries.length = 0;
+        refresh();
+      },
+      componentsChanged: () => refresh(),
+      get entries() {
+        return entries.slice();
+      },
+      destroy: () => {
+        const host = document.getElementById('z-devtools');
+        if (host?._zInstance) this.unmount(host);
+        host?.remove();
+        this._devtools = null;
+      },
+    };
+
+    this.createComponent('LiteZDevtools', {
+      template: (state) => this._devtoolsTemplate(state),
+      setup: (state) => {
+        panel = state;
+        state.set({ open, tab: 'store', entries: entries.slice(), current: null });
+        return {
+          toggle: () => state.set({ open: !state.get('open') }),
+          showTab: (tab) => state.set({ tab }),
+          jumpTo: controller.jumpTo,
+          replay: controller.replay,
+          clear: controller.clear,
+        };
+      },
+    });
+    this._injectStyle('z-devtools', this._devtoolsCSS);
+    const host = document.createElement('div');
+    host.id = 'z-devtools';
+    document.body.appendChild(host);
+    this._devtools = controller;
+    this.vRender('LiteZDevtools', {}, '#z-devtools');
+    return controller;
+  },
+
+  _devtoolsTemplate({ open, tab, entries, current }) {
+    const esc = (value) => this._escapeHTML(typeof value === 'string' ? value : JSON.stringify(value));
+    if (!open) return '<div class="z-devtools z-devtools--closed"><button data-on="click:toggle">LiteZ</button></div>';
+    const log = entries.slice().reverse().map((entry) => `
+      <li class="z-devtools__entry${entry.id === current ? ' z-devtools__entry--current' : ''}" key="${entry.id}">
+        <div>
+          <b>${entry.kind === 'action' ? '&#9656;' : '&#9679;'} ${esc(entry.type)}</b>
+          <button data-on="click:jumpTo(${entry.id})">jump</button>
+          <button data-on="click:replay(${entry.id})">replay</button>
+        </div>
+        ${entry.payload !== null ? `<code>payload: ${esc(entry.payload)}</code>` : ''}
+        ${entry.error ? `<code class="z-devtools__error">error: ${esc(entry.error)}</code>` : ''}
+        ${entry.diff.map((change) => `<code>${esc(change.path)}: ${esc(change.before ?? null)} &rarr; ${esc(change.after ?? null)}</code>`).join('')}
+      </li>`).join('');
+    // Reading each component's state here makes the panel re-render when any of them changes
+    const tree = (instances) => instances.filter((instance) => instance.name !== 'LiteZDevtools').map((instance) => `
+      <li>
+        <b>&lt;${esc(instance.name)}&gt;</b> <code>${esc(this._devtoolsState(instance))}</code>
+        ${instance.children.size ? `<ul>${tree([...instance.children.values()])}</ul>` : ''}
+      </li>`).join('');
+    const body = tab === 'store'
+      ? (this.store ? `<ul class="z-devtools__log">${log || '<li>No mutations yet</li>'}</ul>` : '<p>No store</p>')
+      : `<ul class="z-devtools__tree">${tree([...this._mountedRoots])}</ul>`;
+    return `
+      <div class="z-devtools">
+        <header>
+          <button class="${tab === 'store' ? 'z-devtools__tab--active' : ''}" data-on="click:showTab('store')">Store</button>
+          <button class="${tab === 'components' ? 'z-devtools__tab--active' : ''}" data-on="click:showTab('components')">Components</button>
+          <button data-on="click:clear">clear</button>
+          <button data-on="click:toggle">&times;</button>
+        </header>
+        ${body}
+      </div>`;
+  },
+
+  _devtoolsState(instance) {
+    try {
+      return JSON.stringify(this.toRaw(instance.state.get()));
+    } catch (e) {
+      return '[unserializable]';
+    }
+  },
+
+  // Changed leaves between two plain state snapshots, as { path: 'cart.items.0', before, after }
+  _diffState(before, after, path = '', changes = []) {
+    if (Object.is(before, after)) return changes;
+    const isObject = (value) => value !== null && typeof value === 'object';
+    if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+        this._diffState(before[key], after[key], path ? `${path}.${key}` : key, changes);
+      });
+    } else {
+      changes.push({ path: path || '(state)', before, after });
+    }
+    return changes;
+  },
+
+  _devtoolsCSS: `
+    .z-devtools { position: fixed; right: 12px; bottom: 12px; z-index: 2147483647; width: 420px; max-height: 60vh;
+      overflow: auto; font: 12px/1.4 ui-monospace, monospace; color: #e6e6e6; background: #1e1f24;
+      border-radius: 6px; box-shadow: 0 4px 24px rgba(0, 0, 0, .4); }
+    .z-devtools--closed { width: auto; background: none; box-shadow: none; }
+    .z-devtools header { position: sticky; top: 0; display: flex; gap: 4px; padding: 6px; background: #2a2c33; }
+    .z-devtools header button:last-child { margin-left: auto; }
+    .z-devtools button { font: inherit; color: inherit; background: #3a3d46; border: 0; border-radius: 3px; padding: 2px 6px; cursor: pointer; }
+    .z-devtools .z-devtools__tab--active { background: #4f7cff; }
+    .z-devtools ul { margin: 0; padding: 0 0 0 12px; list-style: none; }
+    .z-devtools__log { padding: 0 !important; }
+    .z-devtools__entry { padding: 6px 8px; border-bottom: 1px solid #2f3138; }
+    .z-devtools__entry--current { background: #26324d; }
+    .z-devtools__entry div { display: flex; gap: 4px; align-items: center; }
+    .z-devtools__entry b { flex: 1; }
+    .z-devtools code { display: block; white-space: pre-wrap; word-break: break-all; color: #9fb4d9; }
+    .z-devtools .z-devtools__error { color: #ff8080; }
+    .z-devtools__tree { padding: 6px !important; }
+  `,
+
+  // ---- Undo / Redo ----
+  // Records changes of a createState state, a signal/ref or a store as patches. Changes closer
+  // than `debounce` ms apart (or made inside transaction()) become one undo step; `filter(patch)`
+  // returning false leaves a { path, before, after } patch out of the history. canUndo and
+  // canRedo are reactive. For shortcuts, return it from setup and bind e.g.
+  // `data-on="keydown.ctrl.z.exact.prevent:history.undo(); keydown.ctrl.shift.z.prevent:history.redo()"`.
+  withHistory(target, { limit = 100, debounce = 0, filter = null } = {}) {
+    const isStore = typeof target?.replaceState === 'function' && target.state;
+    const source = isStore ? target.state : target;
+    if (!source || typeof source.subscribe !== 'function' || !(typeof source.get === 'function' || 'value' in source)) {
+      this._logError('withHistory needs a state, signal, ref or store.');
+      return null;
+    }
+    const read = () => this._clone(this.toRaw(this.untrack(() => (source.get ? source.get() : source.value))) ?? null);
+    // States are replaced whole, so keys an undo step takes out are gone rather than undefined
+    const write = (value) => {
+      if (isStore) target.replaceState(value);
+      else if (typeof source.replace === 'function') source.replace(value);
+      else if (typeof source.set === 'function') source.set(value);
+      else source.value = value;
+    };
+    const undoStack = [];
+    const redoStack = [];
+    const version = this.createSignal(0);
+    let last = read();
+    let pending = null; // { before, timer } of the step still collecting changes
+    let applying = false;
+    let grouping = 0;
+
+    const flush = () => {
+      if (!pending) return;
+      clearTimeout(pending.timer);
+      const patches = this._statePatches(pending.before, last).filter((patch) => !filter || filter(patch));
+      pending = null;
+      if (!patches.length) return;
+      undoStack.push(patches);
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack.length = 0;
+      version.set(version.peek() + 1);
+    };
+
+    const onChange = () => {
+      if (applying) return;
+      if (!pending) {
+        pending = { before: last };
+        version.set(version.peek() + 1); // canUndo turns true right away
+      }
+      last = read();
+      clearTimeout(pending.timer);
+      if (grouping) return;
+      if (debounce > 0) pending.timer = setTimeout(flush, debounce);
+      else flush();
+    };
+
+    const apply = (from, to, side) => {
+      flush();
+      if (!from.length) return;
+      const patches = from.pop();
+      const next = patches.reduce((value, patch) => (patch[side] === undefined
+        ? this._deleteIn(value, patch.path)
+        : this._setIn(value, patch.path, this._clone(patch[side]))
+      ), read());
+      applying = true;
+      try {
+        write(next);
+      } finally {
+        applying = false;
+      }
+      last = read();
+      to.push(patches);
+      version.set(version.peek() + 1);
+    };
+
+    const unsubscribe = source.subscribe(onChange);
+    return {
+      undo: () => apply(undoStack, redoStack, 'before'),
+      redo: () => apply(redoStack, undoStack, 'after'),
+      clear: () => {
+        if (pending) clearTimeout(pending.timer);
+        pending = null;
+        undoStack.length = 0;
+        redoStack.length = 0;
+        version.set(version.peek() + 1);
+      },
+      // Everything `fn` changes is undone in one step
+      transaction: (fn) => {
+        grouping++;
+        try {
+          return fn();
+        } finally {
+          grouping--;
+          if (!grouping) flush();
+        }
+      },
+      get canUndo() {
+        version.get();
+        return undoStack.length > 0 || !!pending;
+      },
+      get canRedo() {
+        version.get();
+        return redoStack.length > 0;
+      },
+      dispose: () => {
+        if (pending) clearTimeout(pending.timer);
+        if (typeof unsubscribe === 'function') unsubscribe();
+      },
+    };
+  },
+
+  // Patches from one snapshot to the next: { path: ['todos'], before, after }. Arrays are
+  // replaced whole, so undoing a push or splice restores the exact list.
+  _statePatches(before, after, path = [], patches = []) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(before) && isObject(after)) {
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+        this._statePatches(before[key], after[key], [...path, key], patches);
+      });
+    } else if (!Object.is(before, after) && JSON.stringify(before) !== JSON.stringify(after)) {
+      patches.push({ path, before, after });
+    }
+    return patches;
+  },
+
+  // ---- Computed Properties with Memoization ----
+  // createComputed(() => a.get() + b.get()) or the legacy createComputed(state, (value) => ...).
+  // Memoised results that are shallowly equal to the previous one do not notify dependents.
+  createComputed(state, computeFn, memoize = true) {
+    if (typeof state === 'function') [state, computeFn, memoize] = [null, state, computeFn ?? true];
+    if (state) return this._legacyComputed(state, computeFn, memoize);
+    const node = this._createComputedNode(computeFn, memoize ? this._snapshotEquals() : () => false);
+    return {
+      [this._signalNodeKey]: node,
+      get: () => this._readNode(node),
+      subscribe: (callback) => this._watchNode(node, callback),
+      get value() { return this.get(); },
+    };
+  },
+
+  // The two-argument form keeps its createState shape: get(key), subscribe, and set() to put a
+  // value over the computed one until the state changes the result. It also keeps memoising by
+  // deep (JSON) comparison, since its callers commonly return nested objects.
+  _legacyComputed(state, computeFn, memoize) {
+    const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const base = this._createComputedNode(() => computeFn(state.get()), memoize ? sameJSON : () => false);
+    const override = this._createSignalNode(null, Object.is); // { base, value } from set()
+    const node = this._createComputedNode(() => {
+      const value = this._readNode(base);
+      const manual = this._readNode(override);
+      return manual && manual.base === value ? manual.value : value;
+    }, memoize ? Object.is : () => false);
+    const read = () => this._readNode(node);
+    return {
+      [this._signalNodeKey]: node,
+      get: (key) => (key ? read()?.[key] : read()),
+      set: (newValue) => this.untrack(() => this._writeNode(override, { base: this._readNode(base), value: this._merge(read(), newValue) })),
+      subscribe: (callback) => this._watchNode(node, callback),
+      get value() { return read(); },
+    };
+  },
+
+  // Equality for memoised computeds: arrays compare item by item and plain objects by their own
+  // keys. The previous result is compared as a copy taken when it was produced, since callers
+  // may have mutated it in place since.
+  _snapshotEquals() {
+    let snapshot = null; // { source, copy } of the current result
+    return (previous, value) => {
+      const same = snapshot && snapshot.source === previous
+        ? this._isShallowSame(snapshot.copy, value)
+        : previous !== value && this._isShallowSame(previous, value);
+      const source = same ? previous : value;
+      snapshot = Array.isArray(source) ? { source, copy: [...source] }
+        : this._isPlainObject(source) ? { source, copy: { ...source } } : null;
+      return same || this._isSameValue(previous, value);
+    };
+  },
+
+  _isShallowSame(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+    if (!this._isPlainObject(a) || !this._isPlainObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => this._hasOwn(b, key) && Object.is(a[key], b[key]));
+  },
+
+  // ---- Event Bus ----
+  on(event, callback) {
+    if (!this.events[event]) this.events[event] = [];
+    this.events[event].push(callback);
+    return this._registerCleanup(() => this.off(event, callback));
+  },
+  emit(event, payload) {
+    if (this.events[event]) this.events[event].forEach((cb) => cb(payload));
+  },
+  off(event, callback) {
+    if (this.events[event]) {
+      this.events[event] = this.events[event].filter((cb) => cb !== callback);
+    }
+  },
+
+  // ---- i18n ----
+  initI18n({ locale = 'en', translations = {} } = {}) {
+    this.i18n.locale = locale;
+    this.i18n.translations = translations;
+  },
+
+  t(key, params = {}) {
+    const translation = this.i18n.translations[this.i18n.locale]?.[key] || key;
+    return this._replaceParams(translation, params);
+  },
+
+  // ---- Enhanced Routing ----
+  // Routes with `children` nest: a parent that has a component is a layout rendering the
+  // matched child in its <z-router-view>, and stays mounted while only the child changes.
+  //
+  // Each navigation gets an id and runs the same pipeline: `beforeLeave` of the routes being
+  // left, `beforeEach` guards, route `middlewares`, lazy components and loaders, then the URL
+  // update, render, scroll and `afterEach` hooks. Guards return a falsy value to block (only
+  // `false` for beforeLeave) or a path to redirect. Guards and loaders get a `signal` that
+  // aborts when a newer navigation supersedes theirs, which then stops at its next step.
+  //
+  // A route `component` may also be a loader such as `() => import('./Users.js')`. Loads are
+  // retried with exponential backoff; past `loadingDelay` ms the `loadingComponent` shows in
+  // place of the changing route level, and code that cannot be loaded renders
+  // `errorComponent` (with `error` and `path` props) there instead.
+  router(routes = {}, rootTarget = '#app', {
+    scrollBehavior = null, loadingComponent = null, errorComponent = null,
+    loadingDelay = 200, timeout = 0, retries = 2, retryDelay = 500,
+  } = {}) {
+    this.routes = this._normalizeRoutes(routes);
+    const loadOptions = { timeout, retries, retryDelay };
+    const routeSignal = this.createSignal(null);
+    const hashMode = window.location.protocol === 'file:';
+    const afterHooks = [];
+    const errorHooks = [];
+    const scrollPositions = new Map(); // History entry key -> scroll offsets when it was left
+    let navigationId = 0;
+    let controller = null;
+    let entry = this._stampHistoryEntry(window.history.state?.zKey ? null : 0);
+
+    if ('scrollRestoration' in window.history) window.history.scrollRestoration = 'manual';
+
+    const routerInstance = {
+      // Accepts a path or a location such as { name: 'user', params: { id: 1 }, query: {} };
+      // resolves to whether the navigation completed
+      navigate: (location, replace = false) => {
+        const path = typeof location === 'string' ? location : this._resolveRoute(location)?.fullPath;
+        return path ? runNavigation(path, { replace }) : Promise.resolve(false);
+      },
+      resolve: (location) => {
+        const resolved = this._resolveRoute(location);
+        return resolved && { ...resolved, href: this._routeHref(resolved.fullPath) };
+      },
+      // Loads the code of a route and its layouts ahead of navigating there
+      prefetch: (location) => {
+        const resolved = this._resolveRoute(location);
+        return resolved ? loadChain(this._routeChain(resolved.route)) : Promise.resolve();
+      },
+      beforeEach: (guard) => this.globalMiddlewares.push(guard),
+      afterEach: (hook) => afterHooks.push(hook), // hook(to, from)
+      onError: (handler) => errorHooks.push(handler), // handler(error, to, from)
+      // Query-only updates (useQueryState) replace the history entry and re-render the current
+      // levels in place, without running guards or loaders again
+      _replaceQuery: (query, schema) => {
+        const from = this.currentRoute;
+        const search = this._stringifyQuery(query, schema);
+        const fullPath = search ? `${from.path}?${search}` : from.path;
+        if (fullPath === from.fullPath) return;
+        const to = { ...from, fullPath, query: this._parseQuery(search, this._querySchema(from.route)) };
+        entry = this._commitHistory(fullPath, entry.zPosition, true, entry);
+        const rootElement = document.querySelector(rootTarget);
+        const rendered = routeSignal.peek();
+        this.batch(() => {
+          this._setCurrentRoute(to);
+          if (rootElement && rendered?.chain.length) {
+            const levels = rendered.levels.map((level) => ({ ...level, query: to.query }));
+            this._renderRouteChain(rootElement, rendered.chain, levels, routeSignal, false);
+          }
+        });
+        this._updateRouterLinks();
+      },
+    };
+    this._router = routerInstance;
+
+    const currentPath = () => (hashMode
+      ? window.location.hash.slice(1) || '/'
+      : window.location.pathname.replace(/^.*\/index\.html\/?/, '/') + window.location.search);
+
+    // A blocked or failed navigation that came from the history (back/forward) puts the URL back
+    const restoreURL = (popped) => {
+      if (!popped) return;
+      const state = window.history.state;
+      if (state?.zKey && state.zKey !== entry.zKey) window.history.go(entry.zPosition - state.zPosition);
+      else if (this.currentRoute) this._commitHistory(this.currentRoute.fullPath, entry.zPosition, true, entry);
+    };
+
+    const loadChain = (chain) => Promise.all(chain.map((level) => this._loadRouteComponent(level, loadOptions)));
+
+    const commitEntry = (path, replace, popped) => {
+      scrollPositions.set(entry.zKey, this._scrollPosition());
+      entry = popped
+        ? this._stampHistoryEntry(window.history.state?.zKey ? null : entry.zPosition + 1)
+        : this._commitHistory(path, replace ? entry.zPosition : entry.zPosition + 1, replace);
+    };
+
+    // Loading and error components are looked up when needed, since they may be registered after
+    // the router; a missing one is reported instead of failing inside the navigation
+    const placeholder = (name, option) => {
+      if (!name) return null;
+      if (this.components[name]) return name;
+      this._logError(`Router ${option} "${name}" is not a registered component.`);
+      return null;
+    };
+
+    // Renders `component` in place of the first level the target chain does not share with the
+    // rendered one (at the deepest, its leaf), so common layouts stay mounted
+    const showPlaceholder = (rootElement, chain, component, props) => {
+      const rendered = routeSignal.peek() || { chain: [], levels: [] };
+      let depth = 0;
+      while (depth < chain.length - 1 && rendered.chain[depth] === chain[depth]) depth++;
+      const placeholderChain = [...chain.slice(0, depth), { component }];
+      this._renderRouteChain(rootElement, placeholderChain, [...rendered.levels.slice(0, depth), props], routeSignal, false);
+      return rendered;
+    };
+
+    const reportError = (error, to, from) => {
+      if (!errorHooks.length) this._logError(`Navigation to "${to.fullPath}" failed: ${error.message}`);
+      errorHooks.forEach((handler) => handler(error, to, from));
+    };
+
+    // `popped` marks navigations whose URL is already in the address bar: the initial load and
+    // back/forward. Others update the history only once they are about to render.
+    const runNavigation = async (path, { replace = false, popped = false } = {}) => {
+      const id = ++navigationId;
+      controller?.abort();
+      controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const signal = controller?.signal;
+      const cancelled = () => id !== navigationId;
+      if (!this._isValidObject(this.routes)) {
+        this._logError('Routes not initialized. Rendering NotFound.');
+        this.vRender('NotFound', {}, rootTarget);
+        return false;
+      }
+
+      const [pathname, search = ''] = path.split('?');
+      const { route, params } = this._matchRoute(pathname);
+      const query = this._parseQuery(search, this._querySchema(route));
+      const props = { ...route.props, params, query };
+      const from = this.currentRoute;
+      const to = { path: pathname, fullPath: path, name: route.name || null, route, params, query };
+      const chain = this._routeChain(route);
+      const rootElement = document.querySelector(rootTarget);
+      let replaced = null; // What the loading component replaced, to put back if loading fails
+      let spinner = null;
+
+      try {
+        const guards = [
+          ...this._leavingRoutes(from, route).map((left) => ({ guard: left.beforeLeave, leave: true })),
+          ...this.globalMiddlewares.map((guard) => ({ guard })),
+          ...(route.middlewares || []).map((guard) => ({ guard })),
+        ];
+        for (const { guard, leave } of guards) {
+          const result = await guard({ path: pathname, props, route, from, to, signal });
+          if (cancelled()) return false;
+          if (leave ? result === false : !result) {
+            this._log(`Navigation to "${path}" stopped by a guard`);
+            restoreURL(popped);
+            return false;
+          }
+          if (typeof result === 'string') return runNavigation(result, { replace: replace || popped });
+        }
+
+        if (!rootElement) throw new Error(`Target "${rootTarget}" not found in DOM!`);
+        // Server-rendered page: hydrate with the embedded state instead of loading the data again
+        const hydrating = this._hasServerState(rootElement);
+        if (loadingComponent && !hydrating) {
+          spinner = setTimeout(() => {
+            const component = !cancelled() && placeholder(loadingComponent, 'loadingComponent');
+            if (component) replaced = showPlaceholder(rootElement, chain, component, {});
+          }, loadingDelay);
+        }
+        await loadChain(chain);
+        if (cancelled()) return false;
+        const layout = chain[0].component;
+        if (!this.components[layout]) throw new Error(`Component "${layout}" not found!`);
+        const data = hydrating
+          ? chain.map(() => ({}))
+          : await this._loadRouteData(chain, { path: pathname, params, query, signal });
+        clearTimeout(spinner);
+        if (cancelled()) return false;
+
+        commitEntry(path, replace, popped);
+        this._setCurrentRoute(to);
+        this._renderRouteChain(rootElement, chain, this._routeLevels(chain, params, query, data), routeSignal, hydrating);
+        this._updateRouterLinks(); // Links outside the re-rendered part (e.g. in the layout)
+
+        await this.nextTick();
+        if (cancelled()) return true;
+        const saved = popped ? scrollPositions.get(entry.zKey) || null : null;
+        // New pages start at the top; query-only changes (filters, useQueryState) keep the scroll
+        const position = scrollBehavior
+          ? scrollBehavior(to, from, saved)
+          : saved || (!popped && to.path !== from?.path && { left: 0, top: 0 });
+        if (position) window.scrollTo(position.left || 0, position.top || 0);
+        afterHooks.forEach((hook) => hook(to, from));
+        return true;
+      } catch (e) {
+        clearTimeout(spinner);
+        if (cancelled()) return false;
+        const errorView = e.name === 'ChunkLoadError' && rootElement && placeholder(errorComponent, 'errorComponent');
+        if (errorView) {
+          commitEntry(path, replace, popped);
+          this._setCurrentRoute(to);
+          showPlaceholder(rootElement, chain, errorView, { error: e.message, path });
+          this._updateRouterLinks();
+        } else {
+          restoreURL(popped);
+          if (replaced?.chain.length) this._renderRouteChain(rootElement, replaced.chain, replaced.levels, routeSignal, false);
+        }
+        reportError(e, to, from);
+        return false;
+      }
+    };
+
+    this._setupRouting(() => {
+      // Our own history.go() when putting the URL back lands on the current entry again
+      if (window.history.state?.zKey && window.history.state.zKey === entry.zKey) return;
+      runNavigation(currentPath(), { popped: true });
+    });
+    runNavigation(currentPath(), { popped: true });
+    return routerInstance;
+  },
+
+  // A ref bound to one query key of the current URL, typed by the route's `query` schema or by
+  // `schema` (e.g. { type: 'number', default: 1 }). Setting it updates the ref at once and
+  // replaces the history entry; guards and loaders do not run for query-only changes.
+  useQueryState(key, schema = null) {
+    const current = this._currentRouteRef();
+    const schemaFor = (route) => (schema ? { [key]: schema } : this._querySchema(route));
+    const value = this.createComputed(() => {
+      const route = current.get();
+      if (!route) return schema ? this._schemaDefault(this._schemaField(schema)) : undefined;
+      return this._parseQuery(route.fullPath.split('?')[1] || '', schemaFor(route.route))[key];
+    });
+    const write = (newValue) => {
+      const route = this.currentRoute;
+      if (!route || !this._router) {
+        this._logError(`useQueryState("${key}") needs an active router.`);
+        return;
+      }
+      const fullSchema = { ...this._querySchema(route.route), ...schemaFor(route.route) };
+      this._router._replaceQuery({ ...route.query, [key]: newValue }, fullSchema);
+    };
+    return {
+      [this._signalNodeKey]: value[this._signalNodeKey],
+      get: value.get,
+      set: write,
+      subscribe: value.subscribe,
+      get value() { return value.get(); },
+      set value(newValue) { write(newValue); },
+    };
+  },
+
+  // Signal mirror of `currentRoute`, so renders and computeds that read it follow navigation
+  _currentRouteRef() {
+    return this._currentRouteSignal || (this._currentRouteSignal = this.createSignal(this.currentRoute));
+  },
+
+  _setCurrentRoute(route) {
+    this.currentRoute = route;
+    this._currentRouteRef().set(route);
+  },
+
+  // ---- Enhanced Middleware ----
+  useMiddleware(middleware) {
+    if (typeof middleware === 'function') {
+      this.middlewares.push(middleware);
+    }
+  },
+
+  useGlobalMiddleware(middleware) {
+    if (typeof middleware === 'function') {
+      this.globalMiddlewares.push(middleware);
+    }
+  },
+
+  // ---- Plugins ----
+  usePlugin(plugin) {
+    if (typeof plugin === 'function') {
+      this.plugins.push(plugin);
+      plugin(this);
+    }
+  },
+
+  // ---- Lazy Loading ----
+  // Calls `callback` once `target` (an element or selector) scrolls into view; returns a
+  // function that stops watching. Without IntersectionObserver the callback runs right away.
+  lazyLoad(target, callback, options = {}) {
+    const element = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!element) return () => {};
+    if (typeof IntersectionObserver === 'undefined') {
+      callback();
+      return () => {};
+    }
+    const observer = new IntersectionObserver((entries, obs) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          callback();
+          obs.unobserve(entry.target);
+        }
+      });
+    }, { threshold: 0.1, ...options });
+    observer.observe(element);
+    return () => observer.disconnect();
+  },
+
+  dynamicImport(factory) {
+    return () => factory().then((module) => module.default || module);
+  },
+
+  // ---- Virtual DOM Rendering ----
+  vRender(name, props = {}, target = '#app', { suspense = null } = {}) {
+    const component = this.components[name];
+    if (!component) {
+      this._logError(`Component "${name}" not found!`);
+      return;
+    }
+    const element = document.querySelector(target);
+    if (!element) {
+      this._logError(`Target "${target}" not found in DOM!`);
+      return;
+    }
+    if (element._zInstance) this._destroyInstance(element._zInstance); // Re-rendering the same target
+    return this._mountComponent(name, props, element, { suspense }).publicState;
+  },
+
+  unmount(target = '#app') {
+    const element = typeof target === 'string' ? document.querySelector(target) : target;
+    const instance = element?._zInstance;
+    if (!instance) {
+      this._logError(`No component mounted on "${target}".`);
+      return false;
+    }
+    this._destroyInstance(instance);
+    element.innerHTML = '';
+    return true;
+  },
+
+  // ---- Server-Side Rendering ----
+  // Renders a component tree to HTML without a DOM (e.g. under Node). Each component's state
+  // is serialized after the markup so LiteZ.hydrate can pick up where the server left off.
+  // Rendering is synchronous, so `asyncData` is not called; use renderRoute for data.
+  renderToString(name, props = {}, { state: includeState = true } = {}) {
+    const states = [];
+    const html = this._ssrRender(name, props, { states });
+    return includeState ? html + this._stateScript(states) : html;
+  },
+
+  // Server-renders the route matching `url` as a stream of HTML chunks (an async iterable, e.g.
+  // for `Readable.from`). Route `loader({ path, params, query, route })` hooks of the matched
+  // route and its layouts run in parallel; each one's data becomes props of its component
+  // and travels to the client with the serialized state. Failing loaders and asyncData are
+  // reported and the page renders without their data, as it would on the client.
+  async *renderRoute(url, { routes = null } = {}) {
+    const table = routes ? this._normalizeRoutes(routes) : this.routes;
+    const { pathname, search } = new URL(url, 'http://localhost');
+    const { route, params } = this._matchRoute(pathname, table);
+    const query = this._parseQuery(search, this._querySchema(route, table));
+    const chain = this._routeChain(route, table);
+    await Promise.all(chain.map((level) => this._loadRouteComponent(level)));
+    const data = await this._loadRouteData(chain, { path: pathname, params, query }).catch((e) => {
+      this._logError(`Route data for "${pathname}" failed to load: ${e.message}`);
+      return chain.map(() => ({}));
+    });
+    const levels = this._routeLevels(chain, params, query, data);
+    const states = [];
+    // A per-request route signal, so concurrent renders never share route state
+    const routeSignal = this.createSignal({ chain, levels });
+    yield* this._ssrStream(chain[0].component, levels[0], { states, route: routeSignal, routeDepth: 0 });
+    yield this._stateScript(states);
+  },
+
+  // Embedded after the markup; `<` is escaped so state strings cannot close the script element
+  _stateScript(states) {
+    return `<script type="application/json" data-z-state>${JSON.stringify(states).replace(/</g, '\\u003c')}</script>`;
+  },
+
+  // Attaches to server-rendered markup in `target` instead of rebuilding it: the first render
+  // patches the existing nodes in place, then directives, events and subscriptions are bound.
+  hydrate(name, target = '#app', props = {}) {
+    if (!this.components[name]) {
+      this._logError(`Component "${name}" not found!`);
+      return;
+    }
+    const element = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!element) {
+      this._logError(`Target "${target}" not found in DOM!`);
+      return;
+    }
+    return this._hydrateInto(element, () => this._mountComponent(name, props, element)).publicState;
+  },
+
+  _hasServerState(element) {
+    return Array.from(element.children).some((child) => child.matches('script[data-z-state]'));
+  },
+
+  _hydrateInto(element, mount) {
+    const script = Array.from(element.children).find((child) => child.matches('script[data-z-state]'));
+    let states = [];
+    if (script) {
+      try {
+        states = JSON.parse(script.textContent);
+      } catch (e) {
+        this._logError(`Invalid server state: ${e.message}`);
+      }
+      script.remove();
+    }
+    if (element._zInstance) this._destroyInstance(element._zInstance);
+    this._hydrationStates = states;
+    try {
+      return mount();
+    } finally {
+      this._hydrationStates = null;
+    }
+  },
+
+  // Renders one instance; children render depth-first in the same order the client mounts them,
+  // so `states` lines up with hydration.
+  _ssrRender(name, props, { states, ...options }) {
+    let html = '';
+    for (const part of this._ssrParts(name, props, { ...options, states })) {
+      html += typeof part === 'string' ? part : this._ssrRender(part.name, part.props, { ...part, states });
+    }
+    return html;
+  },
+
+  // Streaming variant: awaits `lazy` and `asyncData` per component and flushes the markup that
+  // precedes a child before waiting on that child's data.
+  async *_ssrStream(name, props, { states, ...options }) {
+    const component = this.components[name];
+    if (component?.lazy) await component.lazy();
+    if (typeof component?.asyncData === 'function') {
+      try {
+        props = { ...props, ...await component.asyncData(props, this) };
+      } catch (e) {
+        this._logError(`asyncData failed in "${name}": ${e.message}`);
+      }
+    }
+    let buffer = '';
+    for (const part of this._ssrParts(name, props, { ...options, states })) {
+      if (typeof part === 'string') {
+        buffer += part;
+        continue;
+      }
+      if (buffer) yield buffer;
+      buffer = '';
+      yield* this._ssrStream(part.name, part.props, { ...part, states });
+    }
+    if (buffer) yield buffer;
+  },
+
+  // Yields HTML strings, and { name, props, slots, parent } for each child component to render
+  *_ssrParts(name, props, { states, ...options }) {
+    if (!this.components[name]) {
+      this._logError(`Component "${name}" not found!`);
+      return;
+    }
+    const instance = this._createInstance(name, props, null, options);
+    const index = states.push(null) - 1;
+    try {
+      const { component, state, context } = instance;
+      const html = component.template(state.get(), this, context);
+      const tree = this._expandLoops(this._createVDOM(html), this._instanceScope(instance));
+      this._resolveRouterViews(tree, instance);
+      const rendered = this._applyConditionals(this._fillSlots(tree, instance.slots), instance);
+      if (rendered) yield* this._vNodeParts(rendered, instance, instance);
+      states[index] = this._clone(this.toRaw(state.get()) ?? {});
+    } catch (e) {
+      this._logError(`Render error in "${name}": ${e.message}`);
+    } finally {
+      // Subscriptions and effects made during setup must not outlive the request
+      instance.cleanups.splice(0).forEach((cleanup) => cleanup());
+    }
+  },
+
+  *_vNodeParts(vNode, instance, owner) {
+    if (typeof vNode === 'string') {
+      yield this._escapeHTML(vNode);
+      return;
+    }
+    const nodeOwner = vNode.owner || owner;
+    const scope = this._instanceScope(nodeOwner, vNode.locals);
+    let { attrs, children } = vNode;
+    attrs = { ...attrs };
+    const childName = this._componentName(vNode);
+
+    for (const [name, expression] of Object.entries(vNode.attrs)) {
+      const match = /^data-(z-[\w-]+)(?::([\w-]+))?((?:\.[\w-]+)*)$/.exec(name);
+      if (!match) continue;
+      const [, directive, arg = null, modifierList] = match;
+      const modifiers = modifierList ? modifierList.slice(1).split('.') : [];
+      const value = expression ? this.evaluate(expression, scope) : undefined;
+      if (directive === 'z-show' && !value) {
+        attrs.style = `${attrs.style ? `${attrs.style.trim().replace(/;?$/, '; ')}` : ''}display: none;`;
+      }
+      if (directive === 'z-model' && !childName) ({ attrs, children } = this._ssrModel(vNode, attrs, value, modifiers));
+      const definition = this.directives[directive];
+      if (typeof definition?.getSSRProps === 'function') {
+        Object.assign(attrs, definition.getSSRProps({ value, arg, modifiers, expression, instance: nodeOwner }));
+      }
+    }
+
+    const attributes = Object.entries(attrs)
+      .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${this._escapeHTML(value)}"`))
+      .join('');
+    yield `<${vNode.tag}${attributes}>`;
+    if (this._voidTags.includes(vNode.tag)) return;
+    if (childName) {
+      const props = this._hostProps(vNode, nodeOwner, {});
+      const slots = this._collectSlots(vNode, nodeOwner);
+      yield { name: childName, props, slots, parent: instance, routeDepth: vNode.routeView?.depth };
+    } else if (vNode.tag === 'script' || vNode.tag === 'style') {
+      yield children.join('');
+    } else {
+      for (const child of children) yield* this._vNodeParts(child, instance, nodeOwner);
+    }
+    yield `</${vNode.tag}>`;
+  },
+
+  // Server-side z-model: reflects the bound value as value/checked/selected markup
+  _ssrModel(vNode, attrs, value, modifiers) {
+    const type = (attrs.type || '').toLowerCase();
+    const matches = (optionValue) => {
+      const cast = this._modelCast(optionValue, modifiers);
+      return Array.isArray(value) ? value.some((item) => this._looseEqual(item, cast)) : this._looseEqual(value, cast);
+    };
+    let { children } = vNode;
+    if (type === 'checkbox' || type === 'radio') {
+      const checked = type === 'checkbox' && !Array.isArray(value) ? !!value : matches(attrs.value ?? 'on');
+      if (checked) attrs.checked = '';
+      else delete attrs.checked;
+    } else if (vNode.tag === 'select') {
+      const select = (nodes) => nodes.map((node) => {
+        if (typeof node === 'string') return node;
+        if (node.tag === 'optgroup') return { ...node, children: select(node.children) };
+        if (node.tag !== 'option') return node;
+        const optionAttrs = { ...node.attrs };
+        if (matches(optionAttrs.value ?? node.children.join(''))) optionAttrs.selected = '';
+        else delete optionAttrs.selected;
+        return { ...node, attrs: optionAttrs };
+      });
+      children = select(children);
+    } else if (vNode.tag === 'textarea') {
+      children = [String(value ?? '')];
+    } else {
+      attrs.value = String(value ?? '');
+    }
+    return { attrs, children };
+  },
+
+  // DOM-free equivalent of parsing with DOMParser and taking body.firstChild
+  _htmlToVDOM(html) {
+    const convert = (node, parentTag) => {
+      if (node.type === 'text') {
+        return parentTag === 'script' || parentTag === 'style' ? node.value : this._decodeEntities(node.value);
+      }
+      if (node.type !== 'element') return null;
+      const vNode = { tag: node.tag.toLowerCase(), attrs: {}, children: [] };
+      node.attrs.forEach(({ name, value }) => {
+        const attr = name.toLowerCase();
+        if (!(attr in vNode.attrs)) vNode.attrs[attr] = this._decodeEntities(value ?? '');
+      });
+      node.children.forEach((child) => {
+        const childNode = convert(child, vNode.tag);
+        if (childNode !== null) vNode.children.push(childNode);
+      });
+      return vNode;
+    };
+    // Browsers drop whitespace before the first node of a document
+    const root = this._parseHTML(String(html).replace(/^\s+/, ''));
+    return root.children.length ? convert(root.children[0], null) : null;
+  },
+
+  _htmlEntities: {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+    copy: '\u00a9', reg: '\u00ae', hellip: '\u2026', mdash: '\u2014', ndash: '\u2013', euro: '\u20ac',
+  },
+
+  _decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|[a-z][a-z\d]*);/gi, (entity, code) => {
+      if (code[0] !== '#') return this._htmlEntities[code] ?? entity;
+      const hex = code[1] === 'x' || code[1] === 'X';
+      return String.fromCodePoint(parseInt(code.slice(hex ? 2 : 1), hex ? 16 : 10));
+    });
+  },
+
+  _htmlTags: ('a abbr address area article aside audio b base bdi bdo blockquote body br button canvas caption cite code '
+    + 'col colgroup data datalist dd del details dfn dialog div dl dt em embed fieldset figcaption figure footer form '
+    + 'h1 h2 h3 h4 h5 h6 head header hgroup hr html i iframe img input ins kbd label legend li link main map mark menu '
+    + 'meta meter nav noscript object ol optgroup option output p picture pre progress q rp rt ruby s samp script '
+    + 'search section select slot small source span strong style sub summary sup table tbody td template textarea '
+    + 'tfoot th thead time title tr track u ul var video wbr svg math').split(' '),
+
+  // Creates a component instance rendering into `element`. Child components (`<Card>` or
+  // `<z-component name="Card">` in a template) are mounted the same way with `parent` set.
+  _mountComponent(name, props, element, options = {}) {
+    const instance = this._createInstance(name, props, element, options);
+    // Template reads are tracked, so any state, signal or computed it touches schedules a re-render
+    instance.update = () => this._updateInstance(instance);
+    instance.renderer = this._createObserver(null, () => this._queueUpdate(instance.update));
+    element._zInstance = instance;
+    if (!instance.parent) this._mountedRoots.add(instance);
+    this._initialRender(instance);
+    if (name !== 'LiteZDevtools') this._devtools?.componentsChanged();
+    const { asyncData } = instance.component;
+    if (typeof asyncData === 'function' && !instance.hydrated) {
+      Promise.resolve(asyncData(props, this))
+        .then((data) => data && !instance.renderer.disposed && instance.state.set(data))
+        .catch((e) => this._logError(`asyncData failed in "${name}": ${e.message}`));
+    }
+    return instance;
+  },
+
+  // Builds the instance and runs setup; shared by client mounting and server rendering
+  _createInstance(name, props, element, { suspense = null, parent = null, slots = {}, route = null, routeDepth } = {}) {
+    const component = this.components[name];
+    const initial = parent ? {} : props;
+    const state = component.reactive ? this._reactiveState(initial) : this.createState(initial);
+    if (parent) this._setProps(state, props); // Child props keep callbacks and object references
+    const instance = {
+      name, component, element, state, parent, slots, props, suspense,
+      children: new Map(), // Host element -> child instance
+      cleanups: [],
+      listeners: new Map(), // Delegated event type and listener options -> root listener
+      directiveElements: new Set(), // Elements with hook-based directives, for `unmounted`
+      route: route || parent?.route || null, // Router signal read by <z-router-view>
+      routeDepth: routeDepth ?? parent?.routeDepth ?? 0, // Index of this component's route level
+      // Reactive components work on the proxy directly: `state.cart.items.push(item)`
+      publicState: component.reactive ? state.proxy : state,
+    };
+    const prevInstance = this._currentInstance;
+    this._currentInstance = instance;
+    try {
+      instance.context = component.setup(instance.publicState, this) || {};
+    } finally {
+      this._currentInstance = prevInstance;
+    }
+    // Hydration restores the state each component had when it was rendered on the server
+    const snapshot = this._hydrationStates?.shift();
+    if (snapshot) state.set(snapshot);
+    instance.hydrated = !!snapshot;
+    return instance;
+  },
+
+  async _updateInstance(instance) {
+    const { name, component, element, suspense } = instance;
+    if (instance.renderer.disposed) return;
+    try {
+      if (suspense && component.lazy) {
+        element.innerHTML = suspense.loading || 'Loading...';
+        await component.lazy();
+      }
+      this._commitInstance(instance, this._renderInstance(instance));
+      this._callLifecycle(name, 'onUpdate', instance.publicState, instance.context, this);
+    } catch (e) {
+      this._handleError(e, name, element, suspense?.fallback);
+    }
+  },
+
+  _renderInstance(instance) {
+    const { component, state, context } = instance;
+    // Loops are expanded inside the tracked run so the lists they read become dependencies
+    return this._runTracked(instance.renderer, () => {
+      const html = component.template(state.get(), this, context);
+      const tree = this._resolveRouterViews(this._expandLoops(this._createVDOM(html), this._instanceScope(instance)), instance);
+      return this._applyConditionals(this._fillSlots(tree, instance.slots), instance);
+    });
+  },
+
+  // z-if drops falsy branches from the virtual tree before anything is patched or rendered, so
+  // the components inside them are never mounted (the server skips the same ones). Returns new
+  // nodes: slot content is shared with the parent's tree and compared on its next render.
+  _applyConditionals(vNode, owner) {
+    if (!vNode || typeof vNode === 'string') return vNode;
+    const nodeOwner = vNode.owner || owner;
+    const condition = vNode.attrs['data-z-if'];
+    if (condition !== undefined && !(condition && this.evaluate(condition, this._instanceScope(nodeOwner, vNode.locals)))) {
+      return null;
+    }
+    const children = vNode.children.map((child) => this._applyConditionals(child, nodeOwner)).filter((child) => child !== null);
+    return { ...vNode, children };
+  },
+
+  _commitInstance(instance, tree) {
+    const hosts = [];
+    const directed = [];
+    this._patchVDOM(instance.element, tree, instance, hosts, directed);
+    this._applyDirectives(instance, directed);
+    this._bindEvents(instance);
+    this._syncChildren(instance, hosts);
+  },
+
+  // Mounts, updates or removes child components found while patching. Children only
+  // re-render when their props or slot content actually changed.
+  _syncChildren(instance, hosts) {
+    const seen = new Set();
+    hosts.forEach(({ el, vNode, owner }) => {
+      const name = this._componentName(vNode);
+      const props = this._hostProps(vNode, owner, el);
+      const slots = this._collectSlots(vNode, owner);
+      let child = instance.children.get(el);
+      if (child && child.name !== name) {
+        this._destroyInstance(child);
+        child = null;
+      }
+      seen.add(el);
+      if (!child) {
+        const routeDepth = vNode.routeView?.depth;
+        instance.children.set(el, this._mountComponent(name, props, el, { parent: instance, slots, routeDepth }));
+        return;
+      }
+      const propsChanged = !this._shallowEqual(props, child.props);
+      const slotsChanged = this._slotsDiffer(slots, child.slots);
+      const previous = child.props;
+      child.slots = slots;
+      child.props = props;
+      if (propsChanged) this._setProps(child.state, props, previous);
+      if (slotsChanged) this._queueUpdate(child.update);
+    });
+    instance.children.forEach((child, el) => {
+      if (seen.has(el)) return;
+      this._destroyInstance(child);
+      instance.children.delete(el);
+    });
+  },
+
+  // Props the parent no longer passes are removed from the child's state, not kept at their
+  // last value
+  _setProps(state, props, previous = {}) {
+    const removed = Object.keys(previous).filter((key) => !this._hasOwn(props, key));
+    if (!removed.length) return state.set(props);
+    if (state.proxy) {
+      return this.batch(() => {
+        removed.forEach((key) => delete state.proxy[key]);
+        Object.assign(state.proxy, props);
+      });
+    }
+    const next = { ...this.untrack(() => state.get()), ...props };
+    removed.forEach((key) => delete next[key]);
+    return state.replace(next);
+  },
+
+  _destroyInstance(instance) {
+    if (instance.renderer.disposed) return;
+    instance.children.forEach((child) => this._destroyInstance(child));
+    instance.children.clear();
+    this._disposeObserver(instance.renderer);
+    this._unmountDirectives(instance);
+    this._callLifecycle(instance.name, 'onUnmount', instance.publicState, instance.context, this);
+    instance.cleanups.splice(0).forEach((cleanup) => {
+      try {
+        cleanup();
+      } catch (e) {
+        this._logError(`Cleanup error in "${instance.name}": ${e.message}`);
+      }
+    });
+    this._unbindEvents(instance);
+    if (instance.element._zInstance === instance) delete instance.element._zInstance;
+    this._mountedRoots.delete(instance);
+    if (instance.name !== 'LiteZDevtools') this._devtools?.componentsChanged();
+  },
+
+  // Registered names match case-insensitively since the HTML parser lowercases tags;
+  // native elements always win, so use <z-component name="Button"> for those.
+  _componentName(vNode) {
+    if (!vNode || typeof vNode !== 'object') return null;
+    if (vNode.tag === 'z-router-view') return vNode.routeView?.component || null;
+    if (vNode.tag === 'z-component') return this.components[vNode.attrs.name] ? vNode.attrs.name : null;
+    const name = this._componentTags.get(vNode.tag);
+    return name && !this._isNativeTag(vNode.tag) ? name : null;
+  },
+
+  _isNativeTag(tag) {
+    if (tag.includes('-')) return false;
+    if (typeof document === 'undefined') return this._htmlTags.includes(tag); // No DOM to ask during SSR
+    return !(document.createElement(tag) instanceof HTMLUnknownElement);
+  },
+
+  // `title="x"` passes a string, `:title="user.name"` resolves against the parent's state and setup
+  _hostProps(vNode, owner, el) {
+    if (vNode.routeView) return vNode.routeView.props;
+    const props = {};
+    Object.entries(vNode.attrs).forEach(([attr, value]) => {
+      if (attr === 'slot' || attr === 'key' || (vNode.tag === 'z-component' && attr === 'name')) return;
+      if (attr.startsWith('data-z-model')) {
+        props.modelValue = this._evaluateBinding(value, owner, vNode.locals);
+        // One callback per host keeps props shallow-equal across renders
+        const model = el._zModel || (el._zModel = {});
+        Object.assign(model, { expression: value, instance: owner });
+        model.update = model.update || ((newValue) => this._writeModel(model.instance, el._zLocals, model.expression, newValue));
+        props['onUpdate:modelValue'] = model.update;
+        return;
+      }
+      if (attr.startsWith(':')) props[this._camelize(attr.slice(1))] = this._evaluateBinding(value, owner, vNode.locals);
+      else props[this._camelize(attr)] = value;
+    });
+    return props;
+  },
+
+  _evaluateBinding(expression, instance, locals) {
+    return this.evaluate(expression, this._instanceScope(instance, locals));
+  },
+
+  // Host children become slot content: `slot="name"` (or <template slot="name">) targets
+  // <slot name="name"> in the child, everything else fills the default <slot>.
+  _collectSlots(hostVNode, owner) {
+    const slots = {};
+    hostVNode.children.forEach((child) => {
+      const name = (typeof child === 'object' && child.attrs.slot) || 'default';
+      const nodes = typeof child === 'object' && child.tag === 'template' ? child.children : [child];
+      nodes.forEach((node) => {
+        if (typeof node === 'object') node.owner = owner; // Slot content binds against the parent
+        (slots[name] = slots[name] || []).push(node);
+      });
+    });
+    if (slots.default?.every((node) => typeof node === 'string' && !node.trim())) delete slots.default;
+    return slots;
+  },
+
+  _fillSlots(vNode, slots) {
+    if (!vNode || typeof vNode === 'string') return vNode;
+    vNode.children = vNode.children.flatMap((child) => {
+      if (typeof child !== 'object' || child.tag !== 'slot') return [this._fillSlots(child, slots)];
+      const content = slots[child.attrs.name || 'default'];
+      return content?.length ? content : child.children.map((fallback) => this._fillSlots(fallback, slots));
+    });
+    return vNode;
+  },
+
+  _slotsDiffer(a, b) {
+    const names = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...names].some((name) => {
+      const x = a[name] || [];
+      const y = b[name] || [];
+      return x.length !== y.length || x.some((node, i) => this._isVDOMDifferent(node, y[i]));
+    });
+  },
+
+  // ---- List Rendering ----
+  // `data-z-for="(item, index) in items"` is expanded on the virtual tree before patching, so
+  // clones are reconciled like any other node (by `:key` when given). Every element in a clone
+  // carries its loop variables (`locals`), which bindings, events and directives resolve first.
+  _expandLoops(vNode, scope, locals = null) {
+    if (!vNode || typeof vNode === 'string') return vNode;
+    vNode.children = vNode.children.flatMap((child) => {
+      if (typeof child === 'string') return [locals ? this._interpolate(child, scope, false) : child];
+      if ('data-z-for' in child.attrs) return this._renderLoop(child, scope, locals);
+      if (locals) this._bindLoopNode(child, scope, locals);
+      return [this._expandLoops(child, scope, locals)];
+    });
+    return vNode;
+  },
+
+  _renderLoop(vNode, scope, locals) {
+    const expression = vNode.attrs['data-z-for'];
+    const match = /^\s*(?:\(\s*([\w$]+)\s*(?:,\s*([\w$]+)\s*)?(?:,\s*([\w$]+)\s*)?\)|([\w$]+))\s+(?:in|of)\s+([\s\S]+)$/.exec(expression);
+    if (!match) {
+      this._logError(`Invalid z-for expression "${expression}", expected "(item, index) in items"`);
+      return [];
+    }
+    const [, groupedName, keyMatch, indexName, singleName, listExpression] = match;
+    const itemName = groupedName || singleName;
+    const keyName = keyMatch || 'index';
+    const list = this.evaluate(listExpression, scope);
+    let entries;
+    if (typeof list === 'number') entries = Array.from({ length: Math.max(0, Math.floor(list)) }, (_, i) => [i, i + 1]);
+    else if (list && typeof list[Symbol.iterator] === 'function') entries = Array.from(list, (item, i) => [i, item]);
+    else if (list && typeof list === 'object') entries = Object.entries(list);
+    else entries = [];
+
+    return entries.flatMap(([key, item], i) => {
+      const loopLocals = { ...locals, [itemName]: item, [keyName]: key };
+      if (indexName) loopLocals[indexName] = i;
+      const itemScope = this._extendScope(scope, loopLocals);
+      const clone = this._cloneVNode(vNode);
+      delete clone.attrs['data-z-for'];
+      if (':key' in clone.attrs) {
+        clone.attrs.key = String(this.evaluate(clone.attrs[':key'], itemScope));
+        delete clone.attrs[':key'];
+      }
+      // <template data-z-for> repeats its content without a wrapper element
+      const nodes = clone.tag === 'template' ? clone.children : [clone];
+      return nodes.map((node) => {
+        if (typeof node === 'string') return this._interpolate(node, itemScope, false);
+        if ('data-z-for' in node.attrs) return this._renderLoop(node, itemScope, loopLocals);
+        this._bindLoopNode(node, itemScope, loopLocals);
+        return this._expandLoops(node, itemScope, loopLocals);
+      }).flat();
+    });
+  },
+
+  _bindLoopNode(vNode, scope, locals) {
+    vNode.locals = locals;
+    Object.entries(vNode.attrs).forEach(([name, value]) => {
+      // Bindings, directives and handlers are evaluated later against the element's locals
+      if (name.startsWith(':') || name.startsWith('data-z-') || name === 'data-on') return;
+      if (value.includes('{{')) vNode.attrs[name] = this._interpolate(value, scope, false);
+    });
+  },
+
+  _cloneVNode(vNode) {
+    if (typeof vNode === 'string') return vNode;
+    return { ...vNode, attrs: { ...vNode.attrs }, children: vNode.children.map((child) => this._cloneVNode(child)) };
+  },
+
+  // ---- Render Scheduling ----
+  // Resolves once every queued component update has been flushed to the DOM
+  nextTick(callback) {
+    const promise = this._flushPromise || Promise.resolve();
+    return callback ? promise.then(callback) : promise;
+  },
+
+  _queueUpdate(job) {
+    this._renderQueue.add(job);
+    if (!this._flushPromise) {
+      const tick = this.renderScheduler === 'frame' && typeof requestAnimationFrame === 'function'
+        ? new Promise((resolve) => requestAnimationFrame(resolve))
+        : Promise.resolve();
+      this._flushPromise = tick.then(() => this._flushUpdates());
+    }
+    return this._flushPromise;
+  },
+
+  async _flushUpdates() {
+    // Jobs queued while flushing (e.g. from onUpdate) run in the same flush. A failing job is
+    // reported without keeping the others, or later flushes, from running.
+    try {
+      while (this._renderQueue.size) {
+        const jobs = [...this._renderQueue];
+        this._renderQueue.clear();
+        await Promise.all(jobs.map(async (job) => {
+          try {
+            await job();
+          } catch (e) {
+            this._logError(`Update error: ${e.message}`);
+          }
+        }));
+      }
+    } finally {
+      this._flushPromise = null;
+    }
+  },
+
+  // Virtual DOM Utilities
+  _createVDOM(html) {
+    if (typeof DOMParser === 'undefined') return this._htmlToVDOM(html); // SSR under Node
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(html, 'text/html');
+    return this._convertToVDOM(doc.body.firstChild);
+  },
+
+  _convertToVDOM(node) {
+    if (!node) return null;
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE) return null; // Skip comments and processing instructions
+    const vNode = {
+      tag: node.tagName.toLowerCase(),
+      attrs: {},
+      children: [],
+    };
+    for (const attr of node.attributes || []) {
+      vNode.attrs[attr.name] = attr.value;
+    }
+    const childNodes = node.tagName === 'TEMPLATE' ? node.content.childNodes : node.childNodes;
+    for (const child of childNodes) {
+      const childNode = this._convertToVDOM(child);
+      if (childNode) vNode.children.push(childNode);
+    }
+    return vNode;
+  },
+
+  // Reconciles the live DOM under `element` against `newTree` in place, so focus,
+  // caret, scroll offsets and bound listeners survive re-renders. Every element is tagged
+  // with its owning instance; component hosts are collected instead of descended into, and
+  // elements carrying `data-z-*` directives into `directed`.
+  _patchVDOM(element, newTree, owner = null, hosts = [], directed = []) {
+    if (!newTree) {
+      element.innerHTML = '';
+      return;
+    }
+    this._patchChildren(element, [newTree], owner, hosts, directed);
+  },
+
+  _patchChildren(parent, vChildren, owner, hosts, directed) {
+    const keyed = new Map();
+    const newKeys = new Set(vChildren.map((vNode) => this._vNodeKey(vNode)));
+    for (const child of Array.from(parent.childNodes)) {
+      const key = this._nodeKey(child);
+      if (key === null) continue;
+      // Dropping stale keyed nodes first keeps the survivors in place instead of moving them
+      // (moving a node blurs any focused element inside it)
+      if (newKeys.has(key)) keyed.set(key, child);
+      else parent.removeChild(child);
+    }
+    vChildren.forEach((vNode, i) => {
+      const current = parent.childNodes[i] || null;
+      const key = this._vNodeKey(vNode);
+      let match = null;
+      if (key !== null) {
+        match = keyed.get(key) || null;
+        keyed.delete(key);
+      } else if (current && this._nodeKey(current) === null) {
+        match = current;
+      }
+      if (match && !this._isSameNodeType(match, vNode)) match = null;
+      if (match) {
+        if (match !== current) parent.insertBefore(match, current);
+        this._patchNode(match, vNode, owner, hosts, directed);
+      } else {
+        parent.insertBefore(this._createNode(vNode, owner, hosts, directed), current);
+      }
+    });
+    while (parent.childNodes.length > vChildren.length) parent.removeChild(parent.lastChild);
+  },
+
+  _patchNode(el, vNode, owner, hosts, directed) {
+    if (typeof vNode === 'string') {
+      if (el.nodeValue !== vNode) el.nodeValue = vNode;
+      return;
+    }
+    const nodeOwner = vNode.owner || owner;
+    el._zOwner = nodeOwner;
+    el._zLocals = vNode.locals;
+    this._patchAttrs(el, vNode.attrs);
+    if (this._hasDirectives(vNode)) directed.push(el);
+    if (this._componentName(vNode)) hosts.push({ el, vNode, owner: nodeOwner });
+    else this._patchChildren(el, vNode.children, nodeOwner, hosts, directed);
+  },
+
+  _patchAttrs(el, attrs) {
+    for (const { name } of Array.from(el.attributes)) {
+      if (!(name in attrs)) {
+        el.removeAttribute(name);
+        if (name === 'checked' || name === 'selected') el[name] = false;
+      }
+    }
+    for (const [name, value] of Object.entries(attrs)) {
+      if (el.getAttribute(name) !== value) el.setAttribute(name, value);
+    }
+    // Form properties drift from their attributes once the user interacts with them
+    if ('value' in attrs && 'value' in el && el.value !== attrs.value) el.value = attrs.value;
+    if ((el.type === 'checkbox' || el.type === 'radio') && el.checked !== ('checked' in attrs)) {
+      el.checked = 'checked' in attrs;
+    }
+  },
+
+  _hasDirectives(vNode) {
+    return Object.keys(vNode.attrs).some((name) => name.startsWith('data-z-'));
+  },
+
+  _isSameNodeType(el, vNode) {
+    if (typeof vNode === 'string') return el.nodeType === Node.TEXT_NODE;
+    return el.nodeType === Node.ELEMENT_NODE && el.tagName.toLowerCase() === vNode.tag;
+  },
+
+  _nodeKey(el) {
+    return el.nodeType === Node.ELEMENT_NODE && el.hasAttribute('key') ? el.getAttribute('key') : null;
+  },
+
+  _vNodeKey(vNode) {
+    return vNode && typeof vNode === 'object' && 'key' in vNode.attrs ? vNode.attrs.key : null;
+  },
+
+  _isVDOMDifferent(node1, node2) {
+    if (!node1 || !node2) return true;
+    if (typeof node1 === 'string' || typeof node2 === 'string') return node1 !== node2;
+    if (node1.tag !== node2.tag) return true;
+    if (Object.keys(node1.attrs).length !== Object.keys(node2.attrs).length) return true;
+    for (const key in node1.attrs) {
+      if (node1.attrs[key] !== node2.attrs[key]) return true;
+    }
+    if (node1.children.length !== node2.children.length) return true;
+    return node1.children.some((child, i) => this._isVDOMDifferent(child, node2.children[i]));
+  },
+
+  _createNode(vNode, owner = null, hosts = [], directed = []) {
+    if (typeof vNode === 'string') return document.createTextNode(vNode);
+    const el = document.createElement(vNode.tag);
+    const nodeOwner = vNode.owner || owner;
+    el._zOwner = nodeOwner;
+    el._zLocals = vNode.locals;
+    for (const [key, value] of Object.entries(vNode.attrs)) {
+      el.setAttribute(key, value);
+    }
+    if (this._hasDirectives(vNode)) directed.push(el);
+    if (this._componentName(vNode)) hosts.push({ el, vNode, owner: nodeOwner });
+    else vNode.children.forEach((child) => el.appendChild(this._createNode(child, nodeOwner, hosts, directed)));
+    return el;
+  },
+
+  // Elements rendered by the component rooted at `element`, excluding nested child components
+  _scopedQuery(element, selector) {
+    return Array.from(element.querySelectorAll(selector)).filter((el) => {
+      let node = el.parentElement;
+      while (node && !node._zInstance) node = node.parentElement;
+      return node === element;
+    });
+  },
+
+  // ---- Error Boundary ----
+  _handleError(error, name, element, fallback) {
+    this._logError(`Render error in "${name}": ${error.message}`);
+    if (element && fallback) element.innerHTML = fallback;
+  },
+
+  // ---- Enhanced Directives with z- Prefix ----
+  // Directive values are expressions evaluated against the component scope (see evaluate).
+  // z-if is not one of them: it is applied to the virtual tree (see _applyConditionals).
+  directives: {
+    'z-show': (el, value, parent, state, scope) => (el.style.display = LiteZ.evaluate(value, scope) ? '' : 'none'),
+    'z-focus': (el, value, parent, state, scope) => LiteZ.evaluate(value, scope) && el.focus(),
+    'z-model': (el, value, parent, state, scope, binding) => LiteZ._bindModel(el, value, scope, binding),
+    'z-link': {
+      mounted: (el, binding) => LiteZ._bindRouterLink(el, binding),
+      updated: (el, binding) => LiteZ._bindRouterLink(el, binding),
+      unmounted: (el) => LiteZ._unbindRouterLink(el),
+      getSSRProps: ({ value }) => {
+        const resolved = value && LiteZ._resolveRoute(value);
+        return resolved ? { href: resolved.fullPath } : {};
+      },
+    },
+  },
+
+  // Registers a directive used as `data-z-name[:arg][.modifier...]="expression"`. Hooks are
+  // called as hook(el, binding) with binding = { value, oldValue, arg, modifiers, expression,
+  // instance }; a plain function is shorthand for the same mounted and updated hook.
+  directive(name, definition) {
+    const directiveName = name.startsWith('z-') ? name : `z-${name}`;
+    if (typeof definition === 'function') definition = { mounted: definition, updated: definition };
+    if (!definition || typeof definition !== 'object') {
+      this._logError(`Directive "${directiveName}" must be an object with hooks or a function.`);
+      return;
+    }
+    this.directives[directiveName] = definition;
+  },
+
+  // Directives given as plain functions (el, value, parent, state, scope, binding) run after
+  // every render; object definitions get mounted/updated/unmounted hooks. `elements` are the
+  // ones the patcher found with directive attributes, in document order.
+  _applyDirectives(instance, elements) {
+    const { element } = instance;
+    const seen = new Set();
+    elements.forEach((el) => {
+      Array.from(el.attributes).forEach(({ name, value }) => {
+        const match = /^data-(z-[\w-]+)(?::([\w-]+))?((?:\.[\w-]+)*)$/.exec(name);
+        if (!match || !el.isConnected) return; // An earlier directive may have removed it
+        const [, directive, arg = null, modifierList] = match;
+        const handler = this.directives[directive];
+        if (!handler) return;
+        const modifiers = modifierList ? modifierList.slice(1).split('.') : [];
+        const owner = el._zOwner || instance; // Slot content uses its owner's state
+        const scope = this._instanceScope(owner, el._zLocals); // Loop clones see their item
+        if (typeof handler === 'function') {
+          handler(el, value, element.parentNode, owner.state, scope, { arg, modifiers, instance: owner });
+          return;
+        }
+        seen.add(el);
+        this._runDirective(el, name, handler, {
+          value: value ? this.evaluate(value, scope) : undefined,
+          arg, modifiers, expression: value, instance: owner,
+        });
+      });
+    });
+    // Elements that were patched away, or lost their directive attribute, get `unmounted`
+    instance.directiveElements.forEach((el) => {
+      el._zDirectives.forEach((entry, attribute) => {
+        if (seen.has(el) && el.hasAttribute(attribute)) return;
+        this._callDirectiveHook(entry, 'unmounted', el);
+        el._zDirectives.delete(attribute);
+      });
+      if (!el._zDirectives.size) instance.directiveElements.delete(el);
+    });
+    seen.forEach((el) => instance.directiveElements.add(el));
+  },
+
+  _runDirective(el, attribute, definition, binding) {
+    el._zDirectives = el._zDirectives || new Map();
+    const entry = el._zDirectives.get(attribute);
+    if (!entry || entry.definition !== definition) {
+      if (entry) this._callDirectiveHook(entry, 'unmounted', el);
+      const created = { definition, binding: { ...binding, oldValue: undefined } };
+      el._zDirectives.set(attribute, created);
+      this._callDirectiveHook(created, 'mounted', el);
+      return;
+    }
+    entry.binding = { ...binding, oldValue: entry.binding.value };
+    this._callDirectiveHook(entry, 'updated', el);
+  },
+
+  _callDirectiveHook(entry, hook, el) {
+    const fn = entry.definition[hook];
+    if (typeof fn !== 'function') return;
+    try {
+      fn(el, entry.binding);
+    } catch (e) {
+      this._logError(`Directive hook "${hook}" failed: ${e.message}`);
+    }
+  },
+
+  _unmountDirectives(instance) {
+    instance.directiveElements.forEach((el) => {
+      el._zDirectives.forEach((entry) => this._callDirectiveHook(entry, 'unmounted', el));
+      el._zDirectives.clear();
+    });
+    instance.directiveElements.clear();
+  },
+
+  // ---- Two-way Binding ----
+  // z-model reads its expression on every render and writes user input back to the path it
+  // names: state keys, nested paths (`user.address.city`), refs/signals from setup or loop
+  // items. The listener is attached once per element and reads the current binding when fired.
+  _bindModel(el, expression, scope, { modifiers = [], instance } = {}) {
+    if (this._componentName({ tag: el.tagName.toLowerCase(), attrs: { name: el.getAttribute('name') } })) {
+      return; // Components receive modelValue / onUpdate:modelValue props instead
+    }
+    const value = this.evaluate(expression, scope);
+    const type = (el.type || '').toLowerCase();
+    const model = el._zModel || (el._zModel = {});
+    Object.assign(model, { expression, modifiers, instance });
+
+    if (type === 'checkbox') {
+      el.checked = Array.isArray(value) ? value.some((item) => this._looseEqual(item, this._modelCast(el.value, modifiers))) : !!value;
+    } else if (type === 'radio') {
+      el.checked = this._looseEqual(value, this._modelCast(el.value, modifiers));
+    } else if (el.tagName === 'SELECT') {
+      Array.from(el.options).forEach((option) => {
+        const optionValue = this._modelCast(option.value, modifiers);
+        option.selected = el.multiple
+          ? Array.isArray(value) && value.some((item) => this._looseEqual(item, optionValue))
+          : this._looseEqual(value, optionValue);
+      });
+    } else if (!('lastValue' in model) || model.lastValue !== value) {
+      // Only sync when the model changed, so unrelated renders keep pending (.lazy) input and
+      // equivalent text (e.g. "1.0" for 1) untouched
+      if (!this._looseEqual(this._modelCast(el.value, modifiers), value ?? '')) el.value = value ?? '';
+    }
+    model.lastValue = value;
+
+    if (model.listener) return;
+    const lazy = modifiers.includes('lazy');
+    const event = type === 'checkbox' || type === 'radio' || el.tagName === 'SELECT' || lazy ? 'change' : 'input';
+    model.listener = () => this._writeModelFromElement(el);
+    el.addEventListener(event, model.listener);
+  },
+
+  _writeModelFromElement(el) {
+    const { expression, modifiers, instance } = el._zModel;
+    const type = (el.type || '').toLowerCase();
+    const scope = this._instanceScope(instance, el._zLocals);
+    let value;
+    if (type === 'checkbox') {
+      const current = this.evaluate(expression, scope);
+      if (Array.isArray(current)) {
+        const item = this._modelCast(el.value, modifiers);
+        const rest = current.filter((entry) => !this._looseEqual(entry, item));
+        value = el.checked ? [...rest, item] : rest;
+      } else {
+        value = el.checked;
+      }
+    } else if (type === 'radio') {
+      if (!el.checked) return;
+      value = this._modelCast(el.value, modifiers);
+    } else if (el.tagName === 'SELECT' && el.multiple) {
+      value = Array.from(el.selectedOptions).map((option) => this._modelCast(option.value, modifiers));
+    } else {
+      value = this._modelCast(el.value, modifiers);
+    }
+    this._writeModel(instance, el._zLocals, expression, value);
+  },
+
+  _modelCast(value, modifiers) {
+    if (modifiers.includes('trim') && typeof value === 'string') value = value.trim();
+    if (modifiers.includes('number') && value !== '') {
+      const number = parseFloat(value);
+      if (!isNaN(number)) return number;
+    }
+    return value;
+  },
+
+  _looseEqual(a, b) {
+    return a === b || String(a) === String(b);
+  },
+
+  // Assigns `value` to the property path `expression` (e.g. `form.tags[0]`) in the instance scope
+  _writeModel(instance, locals = {}, expression, value) {
+    const source = String(expression).trim();
+    if (!this._expressionCache.has(source)) this._expressionCache.set(source, this._parseExpression(source));
+    const scope = this._instanceScope(instance, locals);
+    const keys = [];
+    let node = this._expressionCache.get(source);
+    while (node.type === 'Member') {
+      keys.unshift(node.computed ? this._evalNode(node.property, scope) : node.property.value);
+      node = node.object;
+    }
+    if (node.type !== 'Identifier') {
+      this._logError(`z-model expects a property path, got "${source}"`);
+      return;
+    }
+    if ([node.name, ...keys].some((key) => this._blockedMembers.includes(String(key)))) {
+      this._logError(`z-model cannot write to "${source}"`);
+      return;
+    }
+    const rootName = node.name;
+    const { state, context = {} } = instance;
+    const stateValue = state?.get();
+
+    const inLocals = this._hasOwn(locals, rootName);
+    const inState = this._hasOwn(stateValue, rootName);
+    if (inLocals || (!inState && this._hasOwn(context, rootName) && !this._isSignal(context[rootName]))) {
+      // Loop items and plain objects from setup are updated in place
+      if (!keys.length) {
+        this._logError(`z-model cannot assign to "${rootName}"`);
+        return;
+      }
+      const target = keys.slice(0, -1).reduce((object, key) => object?.[key], inLocals ? locals[rootName] : context[rootName]);
+      if (target === null || typeof target !== 'object') return;
+      target[keys[keys.length - 1]] = value;
+      if (this.isReactive(target)) return;
+      // Plain objects are not tracked: loop items usually live in the state, setup objects
+      // only concern the component that renders them
+      if (inLocals && state?.notify) state.notify();
+      else this._queueUpdate(instance.update);
+    } else if (!inState && this._hasOwn(context, rootName) && this._isSignal(context[rootName])) {
+      const ref = context[rootName];
+      const next = keys.length ? this._setIn(this._unwrapSignal(ref), keys, value) : value;
+      if (typeof ref.set === 'function') ref.set(next);
+      else ref.value = next;
+    } else if (this.isReactive(stateValue) && keys.length) {
+      const target = keys.slice(0, -1).reduce((object, key) => object?.[key], stateValue[rootName]);
+      if (target && typeof target === 'object') target[keys[keys.length - 1]] = value;
+    } else {
+      state.set({ [rootName]: keys.length ? this._setIn(stateValue?.[rootName], keys, value) : value });
+    }
+  },
+
+  _isSignal(value) {
+    return !!(value && typeof value === 'object' && value[this._signalNodeKey]);
+  },
+
+  // Immutable nested update: copies each object/array along `keys`
+  _setIn(object, keys, value) {
+    if (!keys.length) return value;
+    const [key, ...rest] = keys;
+    const copy = Array.isArray(object) ? [...object] : { ...object };
+    copy[key] = this._setIn(object?.[key], rest, value);
+    return copy;
+  },
+
+  // Immutable nested delete: copies each object/array along `keys` and drops the last key
+  _deleteIn(object, keys) {
+    if (!keys.length) return undefined;
+    if (!object || typeof object !== 'object') return object;
+    const [key, ...rest] = keys;
+    const copy = Array.isArray(object) ? [...object] : { ...object };
+    if (rest.length) copy[key] = this._deleteIn(object[key], rest);
+    else delete copy[key];
+    return copy;
+  },
+
+  // `<Field data-z-model="user.name">` passes `modelValue` and an `onUpdate:modelValue` callback;
+  // inside the child, useModel() returns a { value } ref over that pair.
+  useModel(prop = 'modelValue') {
+    const instance = this._currentInstance;
+    if (!instance) {
+      this._logError('useModel() must be called during component setup.');
+      return null;
+    }
+    const { state } = instance;
+    return {
+      get value() { return state.get(prop); },
+      set value(newValue) { state.get(`onUpdate:${prop}`)?.(newValue); },
+    };
+  },
+
+  // ---- Expression Evaluator ----
+  // A small sandboxed parser for template and directive expressions, so nothing needs eval
+  // and templates keep working under a CSP without 'unsafe-eval'. Supports literals, member
+  // access (incl. ?.), calls, unary/binary/ternary operators, array/object literals and
+  // filters (`price | currency('€')`). Identifiers only resolve against the given scope.
+  evaluate(expression, scope = {}) {
+    try {
+      return this._evaluateExpression(expression, scope);
+    } catch (e) {
+      this._logError(`Expression "${expression}" failed: ${e.message}`);
+      return undefined;
+    }
+  },
+
+  filter(name, fn) {
+    if (typeof fn !== 'function') {
+      this._logError(`Filter "${name}" must be a function.`);
+      return;
+    }
+    this.filters[name] = fn;
+  },
+
+  // No prototype, so names such as `constructor` or `toString` are not globals
+  _safeGlobals: {
+    __proto__: null,
+    Math, Number, String, Boolean, Date, JSON, Array,
+    parseInt, parseFloat, isNaN, isFinite, encodeURIComponent, decodeURIComponent,
+  },
+
+  _blockedMembers: ['constructor', '__proto__', 'prototype', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'],
+  _blockedFunctionMembers: ['call', 'apply', 'bind'],
+
+  _evaluateExpression(expression, scope) {
+    const source = String(expression).trim();
+    if (!this._expressionCache.has(source)) this._expressionCache.set(source, this._parseExpression(source));
+    return this._evalNode(this._expressionCache.get(source), this._scopeLookup(scope));
+  },
+
+  // The identifier resolver for plain scope objects. Only own properties count: inherited ones
+  // such as `constructor` would hand expressions Object, and through it Function.
+  _scopeLookup(scope) {
+    if (typeof scope === 'function') return scope;
+    return (name) => (this._hasOwn(scope, name) ? scope[name] : this._safeGlobals[name]);
+  },
+
+  _hasOwn(object, key) {
+    return object !== null && object !== undefined && Object.prototype.hasOwnProperty.call(object, key);
+  },
+
+  _tokenizeExpression(source) {
+    const tokens = [];
+    const operators = ['===', '!==', '?.', '??', '==', '!=', '<=', '>=', '&&', '||'];
+    let i = 0;
+    while (i < source.length) {
+      const char = source[i];
+      if (/\s/.test(char)) {
+        i++;
+      } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+        const match = source.slice(i).match(/^(\d*\.?\d+(e[+-]?\d+)?|\d+\.)/i);
+        tokens.push({ type: 'num', value: Number(match[0]), pos: i });
+        i += match[0].length;
+      } else if (char === '"' || char === "'" || char === '`') {
+        let value = '';
+        let j = i + 1;
+        while (j < source.length && source[j] !== char) {
+          if (source[j] === '\\') {
+            const escapes = { n: '\n', t: '\t', r: '\r' };
+            value += escapes[source[j + 1]] ?? source[j + 1];
+            j += 2;
+          } else {
+            value += source[j++];
+          }
+        }
+        if (j >= source.length) throw new SyntaxError(`Unterminated string at ${i}`);
+        tokens.push({ type: 'str', value, pos: i });
+        i = j + 1;
+      } else if (/[A-Za-z_$]/.test(char)) {
+        const [word] = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+        tokens.push({ type: 'ident', value: word, pos: i });
+        i += word.length;
+      } else {
+        const op = operators.find((candidate) => source.startsWith(candidate, i)
+          && !(candidate === '?.' && /[0-9]/.test(source[i + 2])));
+        if (!op && !'+-*/%<>!?:.,()[]{}|'.includes(char)) {
+          throw new SyntaxError(`Unexpected character "${char}" at ${i}`);
+        }
+        tokens.push({ type: 'op', value: op || char, pos: i });
+        i += (op || char).length;
+      }
     }
+    return tokens;
   },
 
-  // ---- Virtual DOM Rendering ----
-  vRender(name, props = {}, target = '#app', { suspense = null } = {}) {
-    const component = this.components[name];
-    if (!component) {
-      this._logError(`Component "${name}" not found!`);
-      return;
-    }
-    const element = document.querySelector(target);
-    if (!element) {
-      this._logError(`Target "${target}" not found in DOM!`);
-      return;
-    }
-    const state = this.createState(props);
-    const context = component.setup(state, this);
+  _parseExpression(source) {
+    const tokens = this._tokenizeExpression(source);
+    let pos = 0;
+    const peek = (value) => tokens[pos] && tokens[pos].type === 'op' && tokens[pos].value === value;
+    const next = () => tokens[pos++];
+    const expect = (value) => {
+      if (!peek(value)) {
+        const token = tokens[pos];
+        throw new SyntaxError(token ? `Expected "${value}" at ${token.pos}` : `Expected "${value}" at end of expression`);
+      }
+      return next();
+    };
+    const precedence = {
+      '??': 1, '||': 2, '&&': 3, '==': 4, '!=': 4, '===': 4, '!==': 4,
+      '<': 5, '>': 5, '<=': 5, '>=': 5, '+': 6, '-': 6, '*': 7, '/': 7, '%': 7,
+    };
 
-    let prevTree = null;
-    const updateUI = async () => {
-      try {
-        if (suspense && component.lazy) {
-          element.innerHTML = suspense.loading || 'Loading...';
-          await component.lazy();
-        }
-        const newTree = this._createVDOM(component.template(state.get(), this, context));
-        this._patchVDOM(element, newTree, prevTree);
-        prevTree = newTree;
-        this._applyDirectives(element, state, context);
-        this._bindEvents(element, state, context);
-        this._callLifecycle(name, 'onUpdate', state, context, this);
-      } catch (e) {
-        this._handleError(e, name, element, suspense?.fallback);
+    const parseList = (close) => {
+      const items = [];
+      while (!peek(close)) {
+        items.push(parseTernary());
+        if (!peek(close)) expect(',');
       }
+      expect(close);
+      return items;
     };
-    state.subscribe(updateUI);
-    this._initialRender(name, state, context, element, updateUI);
-    return state;
-  },
 
-  // Virtual DOM Utilities
-  _createVDOM(html) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    return this._convertToVDOM(doc.body.firstChild);
-  },
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) throw new SyntaxError('Unexpected end of expression');
+      if (token.type === 'num' || token.type === 'str') return { type: 'Literal', value: token.value };
+      if (token.type === 'ident') {
+        const literals = { true: true, false: false, null: null, undefined: undefined };
+        if (this._hasOwn(literals, token.value)) return { type: 'Literal', value: literals[token.value] };
+        return { type: 'Identifier', name: token.value };
+      }
+      if (token.value === '(') {
+        const expr = parseFilters();
+        expect(')');
+        return expr;
+      }
+      if (token.value === '[') return { type: 'Array', elements: parseList(']') };
+      if (token.value === '{') {
+        const properties = [];
+        while (!peek('}')) {
+          const keyToken = next();
+          if (!keyToken || !['ident', 'str', 'num'].includes(keyToken.type)) throw new SyntaxError('Invalid object key');
+          const key = String(keyToken.value);
+          const value = peek(':') ? (next(), parseTernary()) : { type: 'Identifier', name: key };
+          properties.push({ key, value });
+          if (!peek('}')) expect(',');
+        }
+        expect('}');
+        return { type: 'Object', properties };
+      }
+      throw new SyntaxError(`Unexpected "${token.value}" at ${token.pos}`);
+    };
 
-  _convertToVDOM(node) {
-    if (!node) return null;
-    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
-    const vNode = {
-      tag: node.tagName.toLowerCase(),
-      attrs: {},
-      children: [],
+    const parsePostfix = (expr) => {
+      let shortCircuit = false;
+      for (;;) {
+        if (peek('.') || peek('?.')) {
+          const optional = next().value === '?.';
+          shortCircuit = shortCircuit || optional;
+          if (optional && peek('(')) {
+            next();
+            expr = { type: 'Call', callee: expr, args: parseList(')'), optional, shortCircuit };
+          } else if (optional && peek('[')) {
+            next();
+            expr = { type: 'Member', object: expr, property: parseFilters(), computed: true, optional, shortCircuit };
+            expect(']');
+          } else {
+            const name = next();
+            if (!name || name.type !== 'ident') throw new SyntaxError('Expected property name after "."');
+            expr = { type: 'Member', object: expr, property: { type: 'Literal', value: name.value }, optional, shortCircuit };
+          }
+        } else if (peek('[')) {
+          next();
+          expr = { type: 'Member', object: expr, property: parseFilters(), computed: true, shortCircuit };
+          expect(']');
+        } else if (peek('(')) {
+          next();
+          expr = { type: 'Call', callee: expr, args: parseList(')'), shortCircuit };
+        } else {
+          return expr;
+        }
+      }
     };
-    for (const attr of node.attributes || []) {
-      vNode.attrs[attr.name] = attr.value;
-    }
-    for (const child of node.childNodes) {
-      const childNode = this._convertToVDOM(child);
-      if (childNode) vNode.children.push(childNode);
-    }
-    return vNode;
-  },
 
-  _patchVDOM(element, newTree, oldTree) {
-    if (!oldTree) {
-      element.innerHTML = '';
-      this._renderVDOM(element, newTree);
-    } else if (!newTree) {
-      element.innerHTML = '';
-    } else if (this._isVDOMDifferent(newTree, oldTree)) {
-      element.innerHTML = '';
-      this._renderVDOM(element, newTree);
-    }
+    const parseUnary = () => {
+      const token = tokens[pos];
+      if (token && ((token.type === 'op' && ['!', '-', '+'].includes(token.value)) || (token.type === 'ident' && token.value === 'typeof'))) {
+        next();
+        return { type: 'Unary', operator: token.value, argument: parseUnary() };
+      }
+      return parsePostfix(parsePrimary());
+    };
+
+    const parseBinary = (minPrecedence) => {
+      let left = parseUnary();
+      for (;;) {
+        const token = tokens[pos];
+        const prec = token && token.type === 'op' ? precedence[token.value] : undefined;
+        if (!prec || prec <= minPrecedence) return left;
+        next();
+        left = { type: 'Binary', operator: token.value, left, right: parseBinary(prec) };
+      }
+    };
+
+    const parseTernary = () => {
+      const test = parseBinary(0);
+      if (!peek('?')) return test;
+      next();
+      const consequent = parseTernary();
+      expect(':');
+      return { type: 'Conditional', test, consequent, alternate: parseTernary() };
+    };
+
+    // `value | filter` / `value | filter(arg)`; `||` is tokenized separately so it never clashes
+    const parseFilters = () => {
+      let expr = parseTernary();
+      while (peek('|')) {
+        next();
+        const name = next();
+        if (!name || name.type !== 'ident') throw new SyntaxError('Expected filter name after "|"');
+        const args = peek('(') ? (next(), parseList(')')) : [];
+        expr = { type: 'Filter', name: name.value, expr, args };
+      }
+      return expr;
+    };
+
+    const ast = parseFilters();
+    if (pos < tokens.length) throw new SyntaxError(`Unexpected "${tokens[pos].value}" at ${tokens[pos].pos}`);
+    return ast;
   },
 
-  _isVDOMDifferent(node1, node2) {
-    if (!node1 || !node2) return true;
-    if (typeof node1 === 'string' || typeof node2 === 'string') return node1 !== node2;
-    if (node1.tag !== node2.tag) return true;
-    if (Object.keys(node1.attrs).length !== Object.keys(node2.attrs).length) return true;
-    for (const key in node1.attrs) {
-      if (node1.attrs[key] !== node2.attrs[key]) return true;
+  _evalNode(node, lookup) {
+    const evaluate = (child) => this._evalNode(child, lookup);
+    const member = (object, property, target) => {
+      if (this._blockedMembers.includes(String(property))) {
+        throw new Error(`Access to "${property}" is not allowed`);
+      }
+      if (object === null || object === undefined) {
+        if (target.optional || target.shortCircuit) return undefined;
+        throw new TypeError(`Cannot read "${property}" of ${object}`);
+      }
+      // fn.call(...) would run fn with a thisArg the Function/eval check below never sees
+      if (typeof object === 'function' && this._blockedFunctionMembers.includes(String(property))) {
+        throw new Error(`Calling functions through "${property}" is not allowed`);
+      }
+      return object[property];
+    };
+    switch (node.type) {
+      case 'Literal': return node.value;
+      case 'Identifier':
+        if (this._blockedMembers.includes(node.name)) throw new Error(`Access to "${node.name}" is not allowed`);
+        return lookup(node.name);
+      case 'Array': return node.elements.map(evaluate);
+      case 'Object': return Object.fromEntries(node.properties.map(({ key, value }) => [key, evaluate(value)]));
+      case 'Member': {
+        const object = evaluate(node.object);
+        return member(object, node.computed ? evaluate(node.property) : node.property.value, node);
+      }
+      case 'Call': {
+        let thisArg;
+        let fn;
+        if (node.callee.type === 'Member') {
+          thisArg = evaluate(node.callee.object);
+          if ((thisArg === null || thisArg === undefined) && node.shortCircuit) return undefined;
+          const property = node.callee.computed ? evaluate(node.callee.property) : node.callee.property.value;
+          fn = member(thisArg, property, node.callee);
+        } else {
+          fn = evaluate(node.callee);
+        }
+        if ((fn === null || fn === undefined) && (node.optional || node.shortCircuit)) return undefined;
+        if (typeof fn !== 'function') throw new TypeError('Expression is not a function');
+        if (fn === Function || fn === eval) throw new Error('Calling Function or eval is not allowed');
+        return fn.apply(thisArg, node.args.map(evaluate));
+      }
+      case 'Unary': {
+        const value = evaluate(node.argument);
+        if (node.operator === '!') return !value;
+        if (node.operator === '-') return -value;
+        if (node.operator === '+') return +value;
+        return typeof value;
+      }
+      case 'Binary': {
+        const left = evaluate(node.left);
+        if (node.operator === '&&') return left && evaluate(node.right);
+        if (node.operator === '||') return left || evaluate(node.right);
+        if (node.operator === '??') return left ?? evaluate(node.right);
+        const right = evaluate(node.right);
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '%': return left % right;
+          case '<': return left < right;
+          case '>': return left > right;
+          case '<=': return left <= right;
+          case '>=': return left >= right;
+          case '==': return left == right;
+          case '!=': return left != right;
+          case '===': return left === right;
+          case '!==': return left !== right;
+          default: throw new SyntaxError(`Unknown operator "${node.operator}"`);
+        }
+      }
+      case 'Conditional': return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate);
+      case 'Filter': {
+        const filter = this._hasOwn(this.filters, node.name) ? this.filters[node.name] : undefined;
+        if (typeof filter !== 'function') throw new Error(`Unknown filter "${node.name}"`);
+        return filter(evaluate(node.expr), ...node.args.map(evaluate));
+      }
+      default: throw new SyntaxError(`Unknown expression node "${node.type}"`);
     }
-    if (node1.children.length !== node2.children.length) return true;
-    return node1.children.some((child, i) => this._isVDOMDifferent(child, node2.children[i]));
   },
 
-  _renderVDOM(parent, vNode) {
-    if (!vNode) return;
-    if (typeof vNode === 'string') {
-      parent.appendChild(document.createTextNode(vNode));
-      return;
-    }
-    const el = document.createElement(vNode.tag);
-    for (const [key, value] of Object.entries(vNode.attrs)) {
-      el.setAttribute(key, value);
-    }
-    vNode.children.forEach(child => this._renderVDOM(el, child));
-    parent.appendChild(el);
+  // Resolves identifiers against locals, then state, then setup context (computeds and
+  // signals are unwrapped), then the legacy .zjs `methods`/`computed` maps, then safe globals.
+  _instanceScope(instance, locals = {}) {
+    const { state, context = {} } = instance;
+    return (name) => {
+      if (this._hasOwn(locals, name)) return locals[name];
+      const value = state?.get();
+      if (value && typeof value === 'object' && this._hasOwn(value, name)) return value[name];
+      if (this._hasOwn(context, name)) return this._unwrapSignal(context[name]);
+      if (this._hasOwn(context.computed, name)) return this._unwrapSignal(context.computed[name]);
+      if (this._hasOwn(context.methods, name)) return context.methods[name];
+      return this._safeGlobals[name];
+    };
   },
 
-  // ---- Error Boundary ----
-  _handleError(error, name, element, fallback) {
-    this._logError(`Render error in "${name}": ${error.message}`);
-    if (element && fallback) element.innerHTML = fallback;
+  _extendScope(scope, locals) {
+    const lookup = this._scopeLookup(scope);
+    return (name) => (this._hasOwn(locals, name) ? locals[name] : lookup(name));
   },
 
-  // ---- Enhanced Directives with z- Prefix ----
-  directives: {
-    'z-show': (el, value) => (el.style.display = value ? '' : 'none'),
-    'z-if': (el, value, parent) => !value && parent.removeChild(el),
-    'z-focus': (el, value) => value && el.focus(),
-    'z-for': (el, value, parent) => {
-      const [itemName, list] = value.split(' in ');
-      const items = eval(list); // Eval is unsafe; replace with proper context in production
-      el.removeAttribute('data-z-for');
-      const template = el.cloneNode(true);
-      parent.innerHTML = '';
-      items.forEach((item, index) => {
-        const clone = template.cloneNode(true);
-        clone.innerHTML = clone.innerHTML.replace(new RegExp(`{{${itemName}}}`, 'g'), item);
-        parent.appendChild(clone);
-      });
-    },
-    'z-model': (el, key, state) => {
-      el.value = state.get(key) || '';
-      el.addEventListener('input', (e) => state.set({ [key]: e.target.value }));
-    },
+  _unwrapSignal(value) {
+    const node = value && typeof value === 'object' ? value[this._signalNodeKey] : null;
+    return node ? this._readNode(node) : value;
   },
 
-  _applyDirectives(element, state, context) {
-    Object.entries(this.directives).forEach(([directive, handler]) => {
-      element.querySelectorAll(`[data-${directive}]`).forEach((el) => {
-        const key = el.getAttribute(`data-${directive}`);
-        handler(el, key, element.parentNode, state);
-      });
+  // Replaces `{{ expression }}` placeholders; values are HTML-escaped unless `escape` is false
+  _interpolate(template, scope, escape = true) {
+    return template.replace(/\{\{([\s\S]+?)\}\}/g, (_, expr) => {
+      const value = this.evaluate(expr, scope) ?? '';
+      return escape ? this._escapeHTML(value) : String(value);
     });
   },
 
+  _escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, (char) => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[char]);
+  },
+
   // ---- UI Creation ----
   createElement(tag, { attrs = {}, children = [], events = {} } = {}) {
     const element = document.createElement(tag);
@@ -780,14 +3798,19 @@ const LiteZ = {
   // ---- Enhanced Routing Utilities ----
   _normalizeRoutes(routes) {
     const normalized = {};
-    const flattenRoutes = (routeMap, parentPath = '') => {
+    const flattenRoutes = (routeMap, parentPath = null) => {
       Object.entries(routeMap).forEach(([path, config]) => {
-        const fullPath = parentPath + path;
+        const fullPath = (parentPath || '') + path;
+        const importComponent = typeof config.component === 'function' ? config.component : null;
         normalized[fullPath] = {
           ...config,
-          component: config.component || 'NotFound',
+          // Components imported on first use are registered under a name derived from the path
+          component: importComponent ? `route:${fullPath}` : config.component || 'NotFound',
+          importComponent,
           middlewares: config.middlewares || [],
           children: config.children || null,
+          parent: parentPath || null,
+          abstract: !config.component, // Groups child paths without rendering a layout
         };
         if (config.children) flattenRoutes(config.children, fullPath);
       });
@@ -796,15 +3819,76 @@ const LiteZ = {
     return normalized;
   },
 
-  _parseQuery(search) {
+  // With a schema, its keys are typed (repeated keys become arrays) and get their defaults;
+  // other keys stay strings.
+  _parseQuery(search, schema = null) {
     const params = new URLSearchParams(search);
     const query = {};
     for (const [key, value] of params) {
       query[key] = value;
     }
+    Object.entries(schema || {}).forEach(([key, spec]) => {
+      const field = this._schemaField(spec);
+      let value;
+      if (field.array) {
+        value = params.getAll(key).map((raw) => this._coerceValue(raw, field)).filter((item) => item !== undefined);
+        if (!value.length) value = undefined;
+      } else if (params.has(key)) {
+        value = this._coerceValue(params.get(key), field);
+      }
+      query[key] = value === undefined ? this._schemaDefault(field) : value;
+    });
     return query;
   },
 
+  // ---- Route Schemas ----
+  // Routes may declare `params` and `query` schemas: `{ page: 'number', tags: { type: 'string',
+  // array: true }, sort: { type: 'enum', values: ['asc', 'desc'], default: 'asc' } }`. Types
+  // are string, number, boolean and enum; `array` collects repeated query keys.
+  _schemaField(spec) {
+    return typeof spec === 'string' ? { type: spec } : { type: 'string', ...spec };
+  },
+
+  _schemaDefault(field) {
+    if (field.default === undefined) return field.array ? [] : undefined;
+    return Array.isArray(field.default) ? [...field.default] : field.default;
+  },
+
+  // The typed value of a raw URL string, or undefined when it does not fit the field
+  _coerceValue(raw, field) {
+    switch (field.type) {
+      case 'number':
+        return raw.trim() !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : undefined;
+      case 'boolean':
+        if (raw === '' || raw === 'true' || raw === '1') return true;
+        return raw === 'false' || raw === '0' ? false : undefined;
+      case 'enum':
+        return (field.values || []).find((value) => String(value) === raw);
+      default:
+        return raw;
+    }
+  },
+
+  _coerceParams(params, schema) {
+    if (!schema) return params;
+    const typed = { ...params };
+    for (const [key, spec] of Object.entries(schema)) {
+      const field = this._schemaField(spec);
+      if (params[key] === undefined) {
+        if (field.default !== undefined) typed[key] = this._schemaDefault(field);
+        continue;
+      }
+      typed[key] = this._coerceValue(params[key], field);
+      if (typed[key] === undefined) return null;
+    }
+    return typed;
+  },
+
+  // Query schemas of the route and its parents; the inner route wins on shared keys
+  _querySchema(route, routes = this.routes) {
+    return Object.assign({}, ...this._routeLineage(route, routes).reverse().map((level) => level.query || {}));
+  },
+
   // ---- Utility Functions ----
   _log(message) {
     console.log(`[LiteZ] ${message}`);
@@ -843,60 +3927,577 @@ const LiteZ = {
     );
   },
 
+  _camelize(str) {
+    return str.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+  },
+
+  _shallowEqual(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => Object.is(a[key], b[key]));
+  },
+
   _isValidObject(obj) {
     return obj && typeof obj === 'object';
   },
 
-  _matchRoute(path) {
-    for (const [routePath, config] of Object.entries(this.routes)) {
-      const regex = new RegExp(`^${routePath.replace(/:([^/]+)/g, '(?<$1>[^/]+)')}$`);
-      const match = path.match(regex);
-      if (match) return { route: config, params: match.groups || {} };
+  // Patterns support `:id`, optional `:id?`, constrained `:id(\\d+)` and catch-all `*rest`
+  // segments. Routes are tried most specific first: static > constrained > param > optional >
+  // catch-all, segment by segment, with definition order breaking ties.
+  _matchRoute(path, routes = this.routes) {
+    const pathname = path.split(/[?#]/)[0] || '/';
+    for (const entry of this._routeTable(routes)) {
+      const match = entry.regex.exec(pathname);
+      if (!match) continue;
+      const params = {};
+      entry.keys.forEach((key, i) => {
+        const value = match[i + 1];
+        if (value === undefined) return;
+        params[key.name] = key.catchAll ? value.split('/').map((part) => this._decodeParam(part)).join('/') : this._decodeParam(value);
+      });
+      // Params that fail their schema (e.g. `id: 'number'` for "abc") make the route not match
+      const typed = this._coerceParams(params, entry.config.params);
+      if (typed) return { route: entry.config, params: typed };
     }
-    return { route: this.routes['/404'] || { component: 'NotFound' }, params: {} };
+    return { route: routes['/404'] || { component: 'NotFound' }, params: {} };
   },
 
-  _setupRouting(renderRoute) {
-    if (window.location.protocol === 'file:') {
-      window.addEventListener('hashchange', () => renderRoute(window.location.hash.slice(1) || '/'));
+  _decodeParam(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (e) {
+      return value; // Malformed escapes are passed through as-is
+    }
+  },
+
+  _routeTables: new WeakMap(),
+
+  // Compiles (once per route map) each pattern into a regex, its param keys and a rank
+  _routeTable(routes) {
+    if (this._routeTables.has(routes)) return this._routeTables.get(routes);
+    const table = Object.entries(routes).map(([path, config], order) => {
+      const keys = [];
+      const scores = [];
+      let source = '';
+      this._routeSegments(path).forEach((segment) => {
+        if (segment.type === 'static') {
+          source += `/${segment.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+          scores.push(4);
+        } else if (segment.type === 'catchAll') {
+          source += '(?:/(.*))?';
+          scores.push(0);
+        } else if (segment.optional) {
+          source += `(?:/(${segment.pattern || '[^/]+'}))?`;
+          scores.push(1);
+        } else {
+          source += `/(${segment.pattern || '[^/]+'})`;
+          scores.push(segment.pattern ? 3 : 2);
+        }
+        if (segment.type !== 'static') keys.push({ name: segment.name, catchAll: segment.type === 'catchAll' });
+      });
+      return { path, config, keys, scores, order, regex: new RegExp(`^${source}/?$`) };
+    });
+    table.sort((a, b) => {
+      for (let i = 0; i < Math.max(a.scores.length, b.scores.length); i++) {
+        // A missing segment ranks between a required param and an optional one
+        const diff = (b.scores[i] ?? 1.5) - (a.scores[i] ?? 1.5);
+        if (diff) return diff;
+      }
+      return a.order - b.order;
+    });
+    this._routeTables.set(routes, table);
+    return table;
+  },
+
+  // Splits a pattern into { type: 'static' | 'param' | 'catchAll', name, pattern, optional, value }
+  _routeSegments(path) {
+    return path.split('/').filter(Boolean).map((segment) => {
+      if (segment.startsWith('*')) return { type: 'catchAll', name: segment.slice(1) || 'pathMatch' };
+      const param = /^:([\w$]+)(?:\((.+)\))?(\?)?$/.exec(segment);
+      if (!param) return { type: 'static', value: segment };
+      // Groups inside a custom pattern would shift the param indexes, so make them non-capturing
+      const pattern = param[2] ? param[2].replace(/(?<!\\)\((?!\?)/g, '(?:') : null;
+      return { type: 'param', name: param[1], pattern, optional: !!param[3] };
+    });
+  },
+
+  // Builds a URL from a named route (or path) plus params and query; the inverse of matching
+  _resolveRoute(location, routes = this.routes) {
+    if (typeof location === 'string') {
+      const [path, search = ''] = location.split('?');
+      const { route, params } = this._matchRoute(path, routes);
+      const query = this._parseQuery(search, this._querySchema(route, routes));
+      return { path, fullPath: location, params, query, route, name: route.name || null };
+    }
+    const { name = null, params = {}, query = {}, path: rawPath = null } = location || {};
+    let path = rawPath;
+    if (name !== null) {
+      const entry = Object.entries(routes).find(([, config]) => config.name === name);
+      if (!entry) {
+        this._logError(`No route named "${name}".`);
+        return null;
+      }
+      const parts = [];
+      for (const segment of this._routeSegments(entry[0])) {
+        if (segment.type === 'static') {
+          parts.push(segment.value);
+          continue;
+        }
+        const value = params[segment.name];
+        if (value === undefined || value === null || value === '') {
+          if (segment.type === 'catchAll' || segment.optional) continue;
+          this._logError(`Missing required param "${segment.name}" for route "${name}".`);
+          return null;
+        }
+        if (segment.pattern && !new RegExp(`^(?:${segment.pattern})$`).test(value)) {
+          this._logError(`Param "${segment.name}" of route "${name}" does not match (${segment.pattern}).`);
+          return null;
+        }
+        parts.push(segment.type === 'catchAll'
+          ? String(value).split('/').map(encodeURIComponent).join('/')
+          : encodeURIComponent(value));
+      }
+      path = `/${parts.join('/')}`;
+    }
+    const { route, params: matched } = this._matchRoute(path, routes);
+    const search = this._stringifyQuery(query, this._querySchema(route, routes));
+    const fullPath = search ? `${path}?${search}` : path;
+    return { path, fullPath, params: matched, query, route, name: route.name || name };
+  },
+
+  // Values equal to their schema default are left out of the URL
+  _stringifyQuery(query, schema = {}) {
+    const search = new URLSearchParams();
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      const field = schema[key] && this._schemaField(schema[key]);
+      if (field && JSON.stringify(value) === JSON.stringify(this._schemaDefault(field) ?? null)) return;
+      (Array.isArray(value) ? value : [value]).forEach((item) => search.append(key, item));
+    });
+    return search.toString();
+  },
+
+  // Matched route plus the parent routes that declare a component; those act as layouts
+  // whose <z-router-view> renders the next level.
+  _routeChain(route, routes = this.routes) {
+    const chain = [route];
+    for (let parent = routes[route.parent]; parent; parent = routes[parent.parent]) {
+      if (!parent.abstract) chain.unshift(parent);
+    }
+    return chain;
+  },
+
+  _routeComponentLoads: new WeakMap(), // Route -> pending or settled load of its component code
+
+  // Loads the code behind a route level once: a `component: () => import(...)` loader or the
+  // registered component's `lazy`. Failures are retried, then rejected as a ChunkLoadError.
+  _loadRouteComponent(route, options = {}) {
+    if (this._routeComponentLoads.has(route)) return this._routeComponentLoads.get(route);
+    const component = this.components[route.component];
+    let load = null;
+    if (route.importComponent && !component) {
+      load = () => route.importComponent().then((module) => this._registerRouteComponent(route, module));
+    } else if (typeof component?.lazy === 'function') {
+      load = () => component.lazy();
+    }
+    if (!load) return Promise.resolve();
+    const pending = this._retry(load, options).catch((e) => {
+      this._routeComponentLoads.delete(route); // Try again on the next navigation
+      const error = new Error(`Could not load "${route.component}": ${e.message}`);
+      error.name = 'ChunkLoadError';
+      throw error;
+    });
+    this._routeComponentLoads.set(route, pending);
+    return pending;
+  },
+
+  // A module's default export is a component definition, or the name of a component it
+  // registered itself (as compiled .zjs modules do)
+  _registerRouteComponent(route, module) {
+    const definition = module?.default ?? module;
+    if (typeof definition === 'string') route.component = definition;
+    else this.createComponent(route.component, definition);
+  },
+
+  // Calls `fn` until it resolves: up to `retries` more times, waiting retryDelay, 2x, 4x... ms
+  async _retry(fn, { retries = 0, retryDelay = 500, timeout = 0 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let timer = null;
+      try {
+        if (!timeout) return await fn();
+        return await Promise.race([fn(), new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout);
+        })]);
+      } catch (e) {
+        if (attempt >= retries) throw e;
+        await new Promise((resolve) => setTimeout(resolve, retryDelay * 2 ** attempt));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  },
+
+  // Runs the `loader` of every level in parallel, resolving to one data object per level
+  async _loadRouteData(chain, context) {
+    const results = await Promise.all(chain.map((entry) => (
+      typeof entry.loader === 'function' ? entry.loader({ ...context, route: entry }) : null
+    )));
+    return results.map((result) => (result && typeof result === 'object' ? result : {}));
+  },
+
+  _routeLevels(chain, params, query, data) {
+    return chain.map((entry, i) => ({ ...entry.props, params, query, ...data[i] }));
+  },
+
+  // Points each <z-router-view> (the root element included) at the next route level below the
+  // rendering component. Reading the outlet here makes the render depend on it.
+  _resolveRouterViews(vNode, instance) {
+    if (!vNode || typeof vNode === 'string' || !instance.route) return vNode;
+    if (vNode.tag === 'z-router-view') {
+      vNode.routeView = this._routeOutlet(instance.route, instance.routeDepth + 1);
+      return vNode;
+    }
+    vNode.children.forEach((child) => this._resolveRouterViews(child, instance));
+    return vNode;
+  },
+
+  _routeOutlets: new WeakMap(), // Route signal -> depth -> memo of the level its outlets render
+
+  // What outlets at `depth` render, as { component, props, depth } or null. Memoised per depth,
+  // so a navigation only re-renders the layouts whose own outlet changed.
+  _routeOutlet(route, depth) {
+    if (!this._routeOutlets.has(route)) this._routeOutlets.set(route, new Map());
+    const outlets = this._routeOutlets.get(route);
+    if (!outlets.has(depth)) {
+      const sameLevel = (a, b) => a === b || (!!a && !!b && a.component === b.component
+        && JSON.stringify(a.props) === JSON.stringify(b.props));
+      outlets.set(depth, this._createComputedNode(() => {
+        const { chain, levels } = route.get() || { chain: [], levels: [] };
+        return chain[depth] ? { component: chain[depth].component, props: levels[depth], depth } : null;
+      }, sameLevel));
+    }
+    return this._readNode(outlets.get(depth));
+  },
+
+  // Mounts (or hydrates) the top-level layout of the chain. When it is already mounted it stays,
+  // and its outlets swap the levels below.
+  _renderRouteChain(rootElement, chain, levels, routeSignal, hydrating) {
+    const layout = chain[0].component;
+    const mountOptions = { route: routeSignal, routeDepth: 0 };
+    const current = rootElement._zInstance;
+    if (hydrating) {
+      routeSignal.set({ chain, levels });
+      this._hydrateInto(rootElement, () => this._mountComponent(layout, levels[0], rootElement, mountOptions));
+    } else if (current?.route === routeSignal && current.name === layout) {
+      this.batch(() => {
+        routeSignal.set({ chain, levels });
+        if (JSON.stringify(levels[0]) !== JSON.stringify(current.props)) {
+          const previous = current.props;
+          current.props = levels[0];
+          this._setProps(current.state, levels[0], previous);
+        }
+      });
     } else {
-      window.addEventListener('popstate', () => renderRoute(window.location.pathname));
+      routeSignal.set({ chain, levels });
+      if (current) this._destroyInstance(current);
+      this._mountComponent(layout, levels[0], rootElement, mountOptions);
     }
   },
 
-  _navigate(path, renderRoute, replace = false) {
+  // Routes of `from` (with their parents) that the navigation to `route` leaves, innermost first
+  _leavingRoutes(from, route) {
+    if (!from) return [];
+    const staying = this._routeLineage(route);
+    return this._routeLineage(from.route).filter((left) => !staying.includes(left) && typeof left.beforeLeave === 'function');
+  },
+
+  _routeLineage(route, routes = this.routes) {
+    const lineage = [];
+    for (let level = route; level; level = routes[level.parent]) lineage.push(level);
+    return lineage;
+  },
+
+  _setupRouting(onChange) {
+    window.addEventListener(window.location.protocol === 'file:' ? 'hashchange' : 'popstate', onChange);
+  },
+
+  // History entries carry { zKey, zPosition }: the key indexes saved scroll positions and the
+  // position tells how far to go back when a back/forward navigation is blocked.
+  _commitHistory(path, position, replace, state = { zKey: this._historyKey(), zPosition: position }) {
     if (window.location.protocol === 'file:') {
-      window.location.hash = path;
+      if (replace) window.location.replace(`#${path}`);
+      else window.location.hash = path;
+      window.history.replaceState(state, ''); // The hashchange this fires is then ignored
     } else {
-      if (replace) {
-        window.history.replaceState({}, '', path);
-      } else {
-        window.history.pushState({}, '', path);
-      }
-      renderRoute(path);
+      window.history[replace ? 'replaceState' : 'pushState'](state, '', path);
+    }
+    return state;
+  },
+
+  // Gives the current history entry a key (at `position`) unless it already has one
+  _stampHistoryEntry(position) {
+    if (position === null) return window.history.state;
+    const state = { ...window.history.state, zKey: this._historyKey(), zPosition: position };
+    window.history.replaceState(state, '');
+    return state;
+  },
+
+  _historyKey() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  _scrollPosition() {
+    return { left: window.scrollX || 0, top: window.scrollY || 0 };
+  },
+
+  _routeHref(fullPath) {
+    return typeof window !== 'undefined' && window.location.protocol === 'file:' ? `#${fullPath}` : fullPath;
+  },
+
+  // ---- Router Links ----
+  // `<a data-z-link="'/users/' + user.id">` or `<a data-z-link.replace="{ name: 'user', params }">`.
+  // Clicks navigate without a page load unless a modifier key, another mouse button, `target`
+  // or `download` leaves them to the browser, and hovering (see linkPrefetch) loads the code of
+  // the route ahead of the click. A link gets `linkActiveClass` while its route or one of its
+  // child routes is current and `linkExactActiveClass` on an exact match; `.exact` limits the
+  // former to exact matches. Per link, the `active-class` and `exact-active-class` attributes
+  // override both.
+  _bindRouterLink(el, { value, modifiers }) {
+    const link = el._zLink || (el._zLink = {});
+    Object.assign(link, { modifiers, resolved: value ? this._resolveRoute(value) : null });
+    if (link.resolved && el.tagName === 'A') el.setAttribute('href', this._routeHref(link.resolved.fullPath));
+    if (!link.listener) {
+      link.listener = (e) => this._followRouterLink(el, e);
+      el.addEventListener('click', link.listener);
+      this._watchRouterLinkPrefetch(el, link);
+    }
+    this._routerLinks.add(el);
+    this._updateRouterLink(el);
+  },
+
+  // The `prefetch` attribute ('hover', 'visible' or 'none') overrides linkPrefetch per link
+  _watchRouterLinkPrefetch(el, link) {
+    const mode = el.getAttribute('prefetch') || this.linkPrefetch;
+    const prefetch = () => link.resolved && this._router?.prefetch(link.resolved.fullPath).catch(() => {});
+    if (mode === 'visible') {
+      link.stopPrefetch = this.lazyLoad(el, prefetch);
+    } else if (mode === 'hover') {
+      el.addEventListener('mouseenter', prefetch, { once: true });
+      el.addEventListener('focus', prefetch, { once: true });
+      link.stopPrefetch = () => {
+        el.removeEventListener('mouseenter', prefetch);
+        el.removeEventListener('focus', prefetch);
+      };
     }
   },
 
-  _initialRender(name, state, context, element, updateUI) {
+  _unbindRouterLink(el) {
+    if (!el._zLink) return;
+    el._zLink.stopPrefetch?.();
+    el.removeEventListener('click', el._zLink.listener);
+    this._routerLinks.delete(el);
+    delete el._zLink;
+  },
+
+  _followRouterLink(el, e) {
+    const { resolved, modifiers } = el._zLink;
+    if (!this._router || !resolved || e.defaultPrevented) return;
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return; // New tab/window
+    const target = el.getAttribute('target');
+    if ((target && target !== '_self') || el.hasAttribute('download')) return;
+    e.preventDefault();
+    this._router.navigate(resolved.fullPath, modifiers.includes('replace'));
+  },
+
+  _updateRouterLinks() {
+    this._routerLinks.forEach((el) => this._updateRouterLink(el));
+  },
+
+  _updateRouterLink(el) {
+    const { resolved, modifiers } = el._zLink;
+    const exact = this._isActiveRoute(resolved, true);
+    const active = exact || (!modifiers.includes('exact') && this._isActiveRoute(resolved, false));
+    el.classList.toggle(el.getAttribute('active-class') || this.linkActiveClass, active);
+    el.classList.toggle(el.getAttribute('exact-active-class') || this.linkExactActiveClass, exact);
+    if (exact) el.setAttribute('aria-current', 'page');
+    else el.removeAttribute('aria-current');
+  },
+
+  // Exact: the current route with the same params. Otherwise the link's route may also be an
+  // ancestor of the current one, with the params the link names matching.
+  _isActiveRoute(target, exact) {
+    const current = this.currentRoute;
+    if (!current || !target) return false;
+    const paramsMatch = Object.entries(target.params).every(([key, value]) => current.params[key] === value);
+    if (exact) {
+      return current.route === target.route && paramsMatch
+        && Object.keys(current.params).length === Object.keys(target.params).length;
+    }
+    return this._routeLineage(current.route).includes(target.route) && paramsMatch;
+  },
+
+  _initialRender(instance) {
+    const { name } = instance;
     try {
-      const newTree = this._createVDOM(this.components[name].template(state.get(), this, context));
-      this._patchVDOM(element, newTree, null);
-      this._applyDirectives(element, state, context);
-      this._bindEvents(element, state, context);
-      this._callLifecycle(name, 'onMount', state, context, this);
+      this._commitInstance(instance, this._renderInstance(instance));
+      this._callLifecycle(name, 'onMount', instance.publicState, instance.context, this);
     } catch (e) {
       this._logError(`Mount error in "${name}": ${e.message}`);
     }
   },
 
-  _bindEvents(element, context) {
-    element.querySelectorAll('[data-on]').forEach((el) => {
-      const [event, handlerName] = el.getAttribute('data-on').split(':');
-      const handler = context[handlerName] || window[handlerName];
-      if (typeof handler === 'function') {
-        el.addEventListener(event, (e) => handler(e, context));
+  // ---- Events ----
+  // `data-on="click:save; keydown.enter.prevent:submit; click.stop:remove(item.id)"`.
+  // A handler is either a method name, called as handler(event, context), or an expression
+  // evaluated against the component scope with `$event` available. Instead of listening on
+  // every element, each component root gets one delegated listener per event type (and per
+  // `.capture` / `.passive` combination, which become addEventListener options).
+  _nonBubblingEvents: ['focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave', 'load', 'error', 'scroll', 'toggle'],
+  _keyAliases: {
+    enter: ['Enter'], esc: ['Escape'], escape: ['Escape'], tab: ['Tab'], space: [' ', 'Spacebar'],
+    up: ['ArrowUp'], down: ['ArrowDown'], left: ['ArrowLeft'], right: ['ArrowRight'], delete: ['Delete', 'Backspace'],
+  },
+  _systemModifiers: ['ctrl', 'alt', 'shift', 'meta'],
+  _behaviorModifiers: ['prevent', 'stop', 'once', 'self', 'exact'],
+  _listenerModifiers: ['capture', 'passive'],
+  _buttonModifiers: ['left', 'middle', 'right'],
+  _eventBindingCache: new Map(),
+
+  _bindEvents(instance) {
+    this._scopedQuery(instance.element, '[data-on]').forEach((el) => {
+      this._parseEventBindings(el.getAttribute('data-on')).forEach(({ event, modifiers }) => {
+        const options = this._listenerOptions(event, modifiers);
+        if (instance.listeners.has(options.key)) return;
+        const listener = (e) => this._dispatchEvent(instance, e, options);
+        instance.element.addEventListener(event, listener, { capture: options.capture, passive: options.passive });
+        instance.listeners.set(options.key, { event, listener, capture: options.capture });
+      });
+    });
+  },
+
+  _unbindEvents(instance) {
+    instance.listeners.forEach(({ event, listener, capture }) => instance.element.removeEventListener(event, listener, capture));
+    instance.listeners.clear();
+  },
+
+  // Bindings with the same options share a root listener. Non-bubbling events are caught in the
+  // capture phase and only apply to the target itself; `.capture` bindings run outermost first.
+  _listenerOptions(event, modifiers) {
+    const useCapture = modifiers.includes('capture');
+    const passive = modifiers.includes('passive');
+    const targetOnly = !useCapture && this._nonBubblingEvents.includes(event);
+    return { key: `${event}:${useCapture}:${passive}`, event, useCapture, passive, targetOnly, capture: useCapture || targetOnly };
+  },
+
+  // Runs the bindings of every element this component rendered between the target and the
+  // component root. Nested components handle their own elements on their own root.
+  _dispatchEvent(instance, e, options) {
+    const root = instance.element;
+    const path = [];
+    for (let el = e.target; el && el !== root; el = el.parentNode) {
+      if (el.nodeType === 1 && el.hasAttribute('data-on') && this._eventRoot(el) === root) path.push(el);
+      if (options.targetOnly) break;
+    }
+    if (options.useCapture) path.reverse();
+    for (const el of path) {
+      for (const binding of this._parseEventBindings(el.getAttribute('data-on'))) {
+        if (this._listenerOptions(binding.event, binding.modifiers).key === options.key) this._runEventBinding(instance, el, binding, e);
+      }
+      if (e.cancelBubble) return; // .stop or the handler called stopPropagation()
+    }
+  },
+
+  _eventRoot(el) {
+    let node = el.parentElement;
+    while (node && !node._zInstance) node = node.parentElement;
+    return node;
+  },
+
+  _runEventBinding(instance, el, binding, e) {
+    const { modifiers } = binding;
+    if (modifiers.includes('self') && e.target !== el) return;
+    if (!this._eventModifiersMatch(modifiers, e)) return;
+    if (modifiers.includes('once')) {
+      el._zOnce = el._zOnce || new Set();
+      if (el._zOnce.has(binding.source)) return;
+      el._zOnce.add(binding.source);
+    }
+    if (modifiers.includes('prevent')) e.preventDefault();
+    if (modifiers.includes('stop')) e.stopPropagation();
+
+    const owner = el._zOwner || instance; // Slot content calls its owner's handlers
+    const context = owner.context || {};
+    try {
+      if (binding.ast.type === 'Identifier') {
+        // Own properties only, so names such as `constructor` never resolve through a prototype
+        // (some environments copy those onto the window itself, so it never supplies them)
+        const { name } = binding.ast;
+        const globals = !(name in Object.prototype) && window;
+        const handler = [context, context.methods, globals].find((object) => object && this._hasOwn(object, name))?.[name];
+        if (typeof handler !== 'function') {
+          this._logError(`Event handler "${name}" not found in "${owner.name}"`);
+          return;
+        }
+        handler(e, context);
+        return;
+      }
+      const scope = this._instanceScope(owner, { ...el._zLocals, $event: e });
+      const result = this._evalNode(binding.ast, scope);
+      // `data-on="click:handlers.save"` references a handler rather than calling it
+      if (binding.ast.type !== 'Call' && typeof result === 'function') result(e, context);
+    } catch (err) {
+      this._logError(`Event handler "${binding.expression}" failed in "${owner.name}": ${err.message}`);
+    }
+  },
+
+  _eventModifiersMatch(modifiers, e) {
+    const system = this._systemModifiers;
+    if (system.some((key) => modifiers.includes(key) && !e[`${key}Key`])) return false;
+    if (modifiers.includes('exact') && system.some((key) => !modifiers.includes(key) && e[`${key}Key`])) return false;
+    const filters = modifiers.filter((mod) => ![...this._behaviorModifiers, ...this._listenerModifiers, ...system].includes(mod));
+    if (!filters.length) return true;
+    if ('key' in e) {
+      return filters.some((mod) => (this._keyAliases[mod] || []).includes(e.key)
+        || e.key.toLowerCase() === mod.replace(/-/g, ''));
+    }
+    if ('button' in e) {
+      return filters.some((mod) => this._buttonModifiers.indexOf(mod) === e.button);
+    }
+    return true;
+  },
+
+  // Parses `event.mod1.mod2:handler` bindings separated by `;` (cached per attribute value)
+  _parseEventBindings(attribute) {
+    if (this._eventBindingCache.has(attribute)) return this._eventBindingCache.get(attribute);
+    const bindings = [];
+    this._splitTopLevel(attribute, ';').forEach((source) => {
+      source = source.trim();
+      const colon = source.indexOf(':');
+      if (!source) return;
+      if (colon === -1) {
+        this._logError(`Invalid data-on binding "${source}", expected "event:handler"`);
+        return;
+      }
+      const [event, ...parts] = source.slice(0, colon).trim().split('.');
+      const expression = source.slice(colon + 1).trim();
+      // Any name can be a key filter on keyboard events; elsewhere unknown modifiers are reported
+      // and ignored rather than filtering out every event
+      const known = [...this._behaviorModifiers, ...this._listenerModifiers, ...this._systemModifiers, ...this._buttonModifiers];
+      const modifiers = parts.filter((mod) => {
+        if (event.startsWith('key') || known.includes(mod)) return true;
+        this._logError(`Unknown modifier ".${mod}" in data-on binding "${source}"`);
+        return false;
+      });
+      if (modifiers.includes('passive') && modifiers.includes('prevent')) {
+        this._logError(`data-on binding "${source}" cannot use .prevent with .passive`);
+      }
+      try {
+        bindings.push({ source, event, modifiers, expression, ast: this._parseExpression(expression) });
+      } catch (e) {
+        this._logError(`Invalid data-on handler "${expression}": ${e.message}`);
       }
     });
+    this._eventBindingCache.set(attribute, bindings);
+    return bindings;
   },
 
   _callLifecycle(name, lifecycle, state, context, ui) {
@@ -905,5 +4506,6 @@ const LiteZ = {
   },
 };
 
-// Global exposure for browser
-window.LiteZ = LiteZ;
\ No newline at end of file
+// Global exposure for browser; CommonJS export for Node tooling such as zjs-compile.js
+if (typeof window !== 'undefined') window.LiteZ = LiteZ;
+if (typeof module !== 'undefined' && module.exports) module.exports = LiteZ;
\ No newline at end of file
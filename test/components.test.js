@@ -0,0 +1,66 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, flush } = require('./helpers');
+
+test('a prop the parent stops passing is removed from the child state', async () => {
+  const { LiteZ, document } = setup();
+  LiteZ.createComponent('Badge', { template: (state) => `<span>${'label' in state ? state.label : 'none'}</span>` });
+  LiteZ.createComponent('ReactiveBadge', { reactive: true, template: (state) => `<b>${'label' in state ? state.label : 'none'}</b>` });
+  LiteZ.createComponent('Card', {
+    template: (state) => (state.labelled
+      ? '<div><Badge :label="name"></Badge><ReactiveBadge :label="name"></ReactiveBadge></div>'
+      : '<div><Badge></Badge><ReactiveBadge></ReactiveBadge></div>'),
+  });
+  LiteZ.vRender('Card', { labelled: true, name: 'new' }, '#app');
+  assert.equal(document.querySelector('#app').textContent, 'newnew');
+  document.querySelector('#app')._zInstance.state.set({ labelled: false });
+  await flush();
+  assert.equal(document.querySelector('span').textContent, 'none');
+  assert.equal(document.querySelector('b').textContent, 'none');
+});
+
+test('component tags resolve through names registered in any case', () => {
+  const { LiteZ, document } = setup();
+  LiteZ.createComponent('UserCard', { template: () => '<p>card</p>' });
+  LiteZ.createComponent('Page', { template: () => '<main><usercard></usercard><UserCard></UserCard></main>' });
+  LiteZ.vRender('Page', {}, '#app');
+  assert.equal(document.querySelector('main').textContent, 'cardcard');
+});
+
+test('unmount runs onUnmount and releases what setup subscribed to', async () => {
+  const { LiteZ, document, errors } = setup();
+  const shared = LiteZ.createState({ n: 0 });
+  const ticks = LiteZ.createSignal(0);
+  const calls = [];
+  LiteZ.createComponent('Widget', {
+    template: () => '<span>widget</span>',
+    setup: () => {
+      shared.subscribe(() => calls.push('state'));
+      LiteZ.on('ping', () => calls.push('event'));
+      LiteZ.useEffect(() => calls.push(`effect ${ticks.get()}`));
+      LiteZ.onUnmount(() => calls.push('onUnmount'));
+      return {};
+    },
+    lifecycles: { onUnmount: () => calls.push('lifecycle') },
+  });
+  LiteZ.createComponent('Page', { template: () => `<main><Widget data-z-if="open"></Widget></main>` });
+  LiteZ.vRender('Page', { open: true }, '#app');
+  shared.set({ n: 1 });
+  LiteZ.emit('ping');
+  assert.deepEqual(calls, ['effect 0', 'state', 'event']);
+
+  calls.length = 0;
+  document.querySelector('#app')._zInstance.state.set({ open: false });
+  await flush();
+  assert.deepEqual(calls, ['lifecycle', 'onUnmount']);
+  shared.set({ n: 2 });
+  LiteZ.emit('ping');
+  ticks.set(1);
+  assert.deepEqual(calls, ['lifecycle', 'onUnmount']);
+
+  assert.equal(LiteZ.unmount('#app'), true);
+  assert.equal(document.querySelector('#app').innerHTML, '');
+  assert.equal(LiteZ.unmount('#app'), false);
+  assert.deepEqual(errors, ['No component mounted on "#app".']);
+});
@@ -0,0 +1,34 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, plain, flush } = require('./helpers');
+
+test('jumping back removes keys created by later mutations', async () => {
+  const { LiteZ, document } = setup();
+  const devtools = LiteZ.devtools({ open: true });
+  const store = LiteZ.createStore({
+    strict: true,
+    state: { n: 0 },
+    mutations: {
+      inc: (state) => state.set({ n: state.get('n') + 1 }),
+      flag: (state) => state.set({ flagged: true }),
+    },
+  });
+  store.commit('inc');
+  store.commit('flag');
+  store.commit('inc');
+  const [first, second] = devtools.entries;
+  assert.deepEqual(plain(second.diff), [{ path: 'flagged', after: true }]);
+
+  devtools.jumpTo(first.id);
+  assert.deepEqual(plain(store.state.get()), { n: 1 });
+  assert.equal('flagged' in store.state.get(), false);
+  devtools.jumpTo(second.id);
+  assert.deepEqual(plain(store.state.get()), { n: 1, flagged: true });
+  devtools.replay(first.id);
+  assert.deepEqual(plain(store.state.get()), { n: 2, flagged: true });
+  assert.equal(devtools.entries.length, 3); // Time travel is not logged
+
+  await flush();
+  assert.match(document.querySelector('#z-devtools').textContent, /flag/);
+});
@@ -0,0 +1,98 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, flush } = require('./helpers');
+
+test('directives run only on the elements that carry them', () => {
+  const { LiteZ, document } = setup();
+  const bound = [];
+  LiteZ.directive('tip', (el, binding) => bound.push(`${el.tagName}:${binding.arg}:${binding.modifiers}:${binding.value}`));
+  LiteZ.createComponent('List', {
+    template: () => '<ul><li>a</li><li data-z-tip:top.wide="label">b</li><li><b>c</b></li></ul>',
+    setup: () => ({ label: 'tip' }),
+  });
+  const applied = [];
+  const apply = LiteZ._applyDirectives;
+  LiteZ._applyDirectives = function (instance, elements) {
+    applied.push(...elements);
+    return apply.call(this, instance, elements);
+  };
+  LiteZ.vRender('List', {}, '#app');
+  assert.deepEqual(applied, [document.querySelector('li:nth-child(2)')]);
+  assert.deepEqual(bound, ['LI:top:wide:tip']);
+});
+
+test('z-model on a loop item notifies the state, on a setup object re-renders', async () => {
+  const { LiteZ, document, window } = setup();
+  LiteZ.createComponent('Form', {
+    template: (state, ui, context) => `<form>
+      <input class="item" data-z-for="item in items" data-z-model="item.name">
+      <input class="setup" data-z-model="draft.title"><p>${context.draft.title}</p></form>`,
+    setup: () => ({ draft: { title: 'a' } }),
+  });
+  LiteZ.vRender('Form', { items: [{ name: 'x' }] }, '#app');
+  const { state } = document.querySelector('#app')._zInstance;
+  const notified = [];
+  state.subscribe((value) => notified.push(value.items[0].name));
+
+  const item = document.querySelector('.item');
+  item.value = 'y';
+  item.dispatchEvent(new window.Event('input'));
+  assert.deepEqual(notified, ['y']);
+
+  const title = document.querySelector('.setup');
+  title.value = 'b';
+  title.dispatchEvent(new window.Event('input'));
+  await flush();
+  assert.equal(document.querySelector('p').textContent, 'b');
+  assert.deepEqual(notified, ['y']); // Setup objects are not part of the state
+});
+
+test('z-for keeps keyed items on reorder and nests loops over outer locals', async () => {
+  const { LiteZ, document } = setup();
+  LiteZ.createComponent('Board', {
+    template: () => `<div>
+      <section data-z-for="(group, g) in groups" :key="group.id">
+        <h2>{{ g }}:{{ group.id }}</h2>
+        <template data-z-for="(card, c) in group.cards"><i>{{ group.id }}{{ c }}{{ card }}</i></template>
+      </section></div>`,
+  });
+  LiteZ.vRender('Board', { groups: [{ id: 'a', cards: ['x', 'y'] }, { id: 'b', cards: ['z'] }] }, '#app');
+  const text = (selector) => [...document.querySelectorAll(selector)].map((el) => el.textContent);
+  assert.deepEqual(text('h2'), ['0:a', '1:b']);
+  assert.deepEqual(text('i'), ['a0x', 'a1y', 'b0z']);
+  assert.equal(document.querySelector('section').getAttribute(':key'), null);
+
+  const [first, second] = document.querySelectorAll('section');
+  document.querySelector('#app')._zInstance.state.set({ groups: [{ id: 'b', cards: ['z', 'w'] }, { id: 'a', cards: [] }] });
+  await flush();
+  assert.deepEqual([...document.querySelectorAll('section')], [second, first]);
+  assert.deepEqual(text('h2'), ['0:b', '1:a']);
+  assert.deepEqual(text('i'), ['b0z', 'b1w']);
+});
+
+test('object directives get mounted, updated with oldValue, and unmounted', async () => {
+  const { LiteZ, document } = setup();
+  const calls = [];
+  LiteZ.directive('color', {
+    mounted: (el, binding) => calls.push(`mounted ${binding.value} ${binding.oldValue}`),
+    updated: (el, binding) => calls.push(`updated ${binding.value} ${binding.oldValue}`),
+    unmounted: (el) => calls.push(`unmounted ${el.tagName}`),
+  });
+  LiteZ.createComponent('Swatch', {
+    template: (state) => `<div>${state.show ? '<p data-z-color="color"></p>' : ''}<span></span></div>`,
+  });
+  LiteZ.vRender('Swatch', { show: true, color: 'red' }, '#app');
+  const { state } = document.querySelector('#app')._zInstance;
+  state.set({ color: 'blue' });
+  await flush();
+  state.set({ show: false });
+  await flush();
+  assert.deepEqual(calls, ['mounted red undefined', 'updated blue red', 'unmounted P']);
+
+  calls.length = 0;
+  state.set({ show: true });
+  await flush();
+  LiteZ.unmount('#app');
+  assert.deepEqual(calls, ['mounted blue undefined', 'unmounted P']);
+});
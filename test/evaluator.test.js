@@ -0,0 +1,74 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireLiteZ } = require('./helpers');
+
+test('evaluates literals, operators, members and calls against the scope', () => {
+  const { LiteZ } = requireLiteZ();
+  const scope = { user: { name: 'Ada', tags: ['a', 'b'] }, double: (n) => n * 2 };
+  assert.equal(LiteZ.evaluate('user.name + "!"', scope), 'Ada!');
+  assert.equal(LiteZ.evaluate('user.tags.length > 1 ? double(2) : 0', scope), 4);
+  assert.equal(LiteZ.evaluate('user?.missing?.deep', scope), undefined);
+  assert.equal(LiteZ.evaluate('missing ?? "fallback"', scope), 'fallback');
+  assert.deepEqual(LiteZ.evaluate('{ n: 1, list: [1, 2] }', {}), { n: 1, list: [1, 2] });
+  assert.equal(LiteZ.evaluate('Math.max(1, 3)', {}), 3);
+});
+
+test('applies filters with arguments', () => {
+  const { LiteZ } = requireLiteZ();
+  assert.equal(LiteZ.evaluate('name | uppercase', { name: 'ada' }), 'ADA');
+  assert.equal(LiteZ.evaluate("price | currency('€', 1)", { price: 2 }), '€2.0');
+  assert.equal(LiteZ.evaluate('price | constructor', { price: 2 }), undefined);
+});
+
+test('reports parse errors and blocked members instead of throwing', () => {
+  const { LiteZ, errors } = requireLiteZ();
+  assert.equal(LiteZ.evaluate('a +', {}), undefined);
+  assert.equal(LiteZ.evaluate('user.constructor', { user: {} }), undefined);
+  assert.equal(LiteZ.evaluate('user["__proto__"]', { user: {} }), undefined);
+  assert.equal(errors.length, 3);
+});
+
+test('inherited names do not resolve as identifiers', () => {
+  const { LiteZ, errors } = requireLiteZ();
+  assert.equal(LiteZ.evaluate('toString', {}), undefined);
+  assert.equal(LiteZ.evaluate('hasOwnProperty', { user: 1 }), undefined);
+  assert.equal(LiteZ.evaluate('constructor', {}), undefined);
+  assert.equal(LiteZ.evaluate('__proto__', {}), undefined);
+  assert.equal(errors.length, 2); // Blocked names are reported, unknown ones are just undefined
+});
+
+test('cannot reach Function or pollute Object.prototype', () => {
+  const { LiteZ } = requireLiteZ();
+  const escapes = [
+    "constructor.getOwnPropertyDescriptor(constructor.getPrototypeOf(Math.max), 'constructor').value.call(null, 'return process.version')()",
+    "constructor.assign(constructor.getPrototypeOf({}), { polluted: 1 })",
+    "toString.constructor('return process')()",
+    "valueOf.call.call(Math.max, null, 1)",
+    "Math.max.apply(null, [1, 2])",
+    "Array.from.bind(null)",
+    "__proto__.polluted",
+  ];
+  escapes.forEach((expression) => assert.equal(LiteZ.evaluate(expression, {}), undefined, expression));
+  assert.equal({}.polluted, undefined);
+});
+
+test('compiled templates and component scopes resolve names the same way', () => {
+  const { LiteZ, errors } = requireLiteZ();
+  const render = LiteZ._createRenderer(LiteZ._compileTemplate('<p>{{ constructor }}|{{ toString }}|{{ name }}</p>'));
+  assert.equal(render({ name: 'Ada' }), '<p>||Ada</p>');
+  const scope = LiteZ._instanceScope({ state: LiteZ.createState({ a: 1 }), context: { computed: {} } }, { i: 0 });
+  assert.equal(LiteZ.evaluate('a + i', scope), 1);
+  assert.equal(LiteZ.evaluate('valueOf', scope), undefined);
+  assert.equal(errors.length, 1);
+});
+
+test('z-model cannot write through inherited names', () => {
+  const { LiteZ, errors } = requireLiteZ();
+  const instance = { state: LiteZ.createState({}), context: {} };
+  LiteZ._writeModel(instance, {}, '__proto__.polluted', 1);
+  LiteZ._writeModel(instance, {}, 'constructor.polluted', 1);
+  assert.equal({}.polluted, undefined);
+  assert.equal(Object.polluted, undefined);
+  assert.equal(errors.length, 2);
+});
@@ -0,0 +1,46 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./helpers');
+
+test('.passive and .capture become listener options instead of key filters', () => {
+  const { LiteZ, document } = setup();
+  const calls = [];
+  LiteZ.createComponent('Panel', {
+    template: () => `<div class="outer" data-on="click.capture:outer"><button data-on="click.capture:inner; click.passive:passive"></button></div>`,
+    setup: () => ({
+      outer: () => calls.push('outer'),
+      inner: () => calls.push('inner'),
+      passive: () => calls.push('passive'),
+    }),
+  });
+  LiteZ.vRender('Panel', {}, '#app');
+  document.querySelector('button').click();
+  assert.deepEqual(calls, ['outer', 'inner', 'passive']);
+});
+
+test('unknown modifiers are reported and do not block the handler', () => {
+  const { LiteZ, document, errors } = setup();
+  let clicks = 0;
+  LiteZ.createComponent('Button', {
+    template: () => `<button data-on="click.prevnt:press"></button>`,
+    setup: () => ({ press: () => clicks++ }),
+  });
+  LiteZ.vRender('Button', {}, '#app');
+  document.querySelector('button').click();
+  assert.equal(clicks, 1);
+  assert.deepEqual(errors, ['Unknown modifier ".prevnt" in data-on binding "click.prevnt:press"']);
+});
+
+test('handler names resolve through own properties only', () => {
+  const { LiteZ, document, errors, window } = setup();
+  let saved = 0;
+  window.save = () => saved++;
+  LiteZ.createComponent('Toolbar', {
+    template: () => '<div><button class="a" data-on="click:constructor"></button><button class="b" data-on="click:toString"></button><button class="c" data-on="click:save"></button></div>',
+  });
+  LiteZ.vRender('Toolbar', {}, '#app');
+  ['a', 'b', 'c'].forEach((name) => document.querySelector(`.${name}`).click());
+  assert.equal(saved, 1);
+  assert.deepEqual(errors, ['Event handler "constructor" not found in "Toolbar"', 'Event handler "toString" not found in "Toolbar"']);
+});
@@ -0,0 +1,39 @@
+'use strict';
+// Shared test setup: every call loads LiteZ.js into a fresh jsdom window, so tests never share
+// components, stores or routers. Errors LiteZ logs are collected instead of printed.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'LiteZ.js'), 'utf8');
+
+const setup = (html = '<div id="app"></div>', { url = 'http://localhost/' } = {}) => {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  window.scrollTo = () => {}; // Not implemented by jsdom
+  window.eval(source);
+  const { LiteZ } = window;
+  const errors = [];
+  LiteZ._logError = (message) => errors.push(message);
+  LiteZ._log = () => {};
+  return { window, document: window.document, LiteZ, errors };
+};
+
+// LiteZ as Node tooling sees it (no DOM), as a fresh copy
+const requireLiteZ = () => {
+  const file = require.resolve('../LiteZ.js');
+  delete require.cache[file];
+  const LiteZ = require(file);
+  const errors = [];
+  LiteZ._logError = (message) => errors.push(message);
+  return { LiteZ, errors };
+};
+
+// Values from a jsdom window have that window's prototypes; this makes them comparable with
+// deepStrictEqual (undefined properties are dropped, as in a JSON snapshot)
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Lets pending microtasks, renders and zero-delay timers run
+const flush = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { setup, requireLiteZ, plain, flush };
@@ -0,0 +1,90 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireLiteZ, flush } = require('./helpers');
+
+test('undo and redo restore a state, removing keys a step added', () => {
+  const { LiteZ } = requireLiteZ();
+  const state = LiteZ.createState({ a: 1 });
+  const history = LiteZ.withHistory(state);
+  state.set({ b: 2 });
+  state.set({ a: 3 });
+  assert.equal(history.canUndo, true);
+  history.undo();
+  assert.deepEqual(state.get(), { a: 1, b: 2 });
+  history.undo();
+  assert.deepEqual(Object.keys(state.get()), ['a']);
+  assert.equal(history.canUndo, false);
+  history.redo();
+  history.redo();
+  assert.deepEqual(state.get(), { a: 3, b: 2 });
+  assert.equal(history.canRedo, false);
+  state.set({ a: 4 });
+  history.undo();
+  assert.equal(history.canRedo, true);
+  state.set({ a: 5 }); // A new change drops the redo steps
+  assert.equal(history.canRedo, false);
+});
+
+test('changes within the debounce window or a transaction are one step', async () => {
+  const { LiteZ } = requireLiteZ();
+  const state = LiteZ.createState({ text: '' });
+  const history = LiteZ.withHistory(state, { debounce: 20 });
+  state.set({ text: 'a' });
+  state.set({ text: 'ab' });
+  await flush(40);
+  state.set({ text: 'abc' });
+  history.undo(); // Also closes the pending step
+  assert.equal(state.get('text'), 'ab');
+  history.undo();
+  assert.equal(state.get('text'), '');
+
+  const grouped = LiteZ.createState({ x: 0, y: 0 });
+  const steps = LiteZ.withHistory(grouped);
+  steps.transaction(() => {
+    grouped.set({ x: 1 });
+    grouped.set({ y: 1 });
+  });
+  steps.undo();
+  assert.deepEqual(grouped.get(), { x: 0, y: 0 });
+  assert.equal(steps.canUndo, false);
+});
+
+test('filter leaves patches out and limit drops the oldest steps', () => {
+  const { LiteZ } = requireLiteZ();
+  const state = LiteZ.createState({ value: 0, hover: false });
+  const history = LiteZ.withHistory(state, { limit: 2, filter: (patch) => patch.path[0] !== 'hover' });
+  state.set({ hover: true });
+  assert.equal(history.canUndo, false);
+  [1, 2, 3].forEach((value) => state.set({ value }));
+  history.undo();
+  history.undo();
+  history.undo();
+  assert.deepEqual(state.get(), { value: 1, hover: true });
+});
+
+test('stores and signals can be tracked too', () => {
+  const { LiteZ } = requireLiteZ();
+  const store = LiteZ.createStore({
+    strict: true,
+    state: { todos: [] },
+    mutations: {
+      add: (state, todo) => state.set({ todos: [...state.get('todos'), todo], last: todo }),
+    },
+  });
+  const storeHistory = LiteZ.withHistory(store);
+  store.commit('add', 'write tests');
+  storeHistory.undo();
+  assert.deepEqual(JSON.parse(JSON.stringify(store.state.get())), { todos: [] });
+  storeHistory.redo();
+  assert.equal(store.state.get('last'), 'write tests');
+
+  const count = LiteZ.createSignal(1);
+  const countHistory = LiteZ.withHistory(count);
+  count.set(2);
+  count.set(3);
+  countHistory.undo();
+  assert.equal(count.get(), 2);
+  countHistory.redo();
+  assert.equal(count.get(), 3);
+});
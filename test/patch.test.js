@@ -0,0 +1,38 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./helpers');
+
+const patcher = () => {
+  const { LiteZ, document } = setup();
+  const app = document.querySelector('#app');
+  return { document, app, render: (html) => LiteZ._patchVDOM(app, LiteZ._createVDOM(html)) };
+};
+
+test('keyed children are moved instead of recreated', () => {
+  const { app, render } = patcher();
+  const list = (keys) => `<ul>${keys.map((key) => `<li key="${key}">${key}</li>`).join('')}</ul>`;
+  render(list(['a', 'b', 'c']));
+  const [a, b, c] = app.querySelectorAll('li');
+  render(list(['c', 'a', 'b']));
+  assert.deepEqual([...app.querySelectorAll('li')], [c, a, b]);
+  render(list(['b', 'd', 'c']));
+  const items = [...app.querySelectorAll('li')];
+  assert.equal(items[0], b);
+  assert.equal(items[2], c);
+  assert.equal(items[1].textContent, 'd');
+  assert.equal(app.textContent, 'bdc');
+});
+
+test('patching keeps the focused input and its caret', () => {
+  const { document, app, render } = patcher();
+  render('<form><label>Name</label><input key="name" value="Ada"><p key="hint">1</p></form>');
+  const input = app.querySelector('input');
+  input.focus();
+  input.setSelectionRange(1, 2);
+  render('<form><label>Full name</label><p key="hint">2</p><input key="name" value="Ada"></form>');
+  assert.equal(app.querySelector('input'), input);
+  assert.equal(document.activeElement, input);
+  assert.deepEqual([input.selectionStart, input.selectionEnd], [1, 2]);
+  assert.equal(app.querySelector('label').textContent, 'Full name');
+});
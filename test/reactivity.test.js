@@ -0,0 +1,135 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireLiteZ } = require('./helpers');
+
+test('computeds and effects follow the signals they read', () => {
+  const { LiteZ } = requireLiteZ();
+  const count = LiteZ.createSignal(1);
+  const double = LiteZ.createComputed(() => count.get() * 2);
+  const seen = [];
+  LiteZ.useEffect(() => seen.push(double.get()));
+  count.set(2);
+  LiteZ.batch(() => {
+    count.set(3);
+    count.set(4);
+  });
+  assert.deepEqual(seen, [2, 4, 8]);
+});
+
+test('createState tracks reads per key', () => {
+  const { LiteZ } = requireLiteZ();
+  const state = LiteZ.createState({ a: 1, b: 1 });
+  let runs = 0;
+  LiteZ.useEffect(() => {
+    runs++;
+    state.get('a');
+  });
+  state.set({ b: 2 });
+  state.set({ a: 2 });
+  assert.equal(runs, 2);
+});
+
+test('createReactive reports nested writes and array methods with their path', () => {
+  const { LiteZ } = requireLiteZ();
+  const state = LiteZ.createReactive({ cart: { items: [] } });
+  const changes = [];
+  LiteZ.watchReactive(state, (change) => changes.push(change));
+  state.cart.items.push({ q: 1 });
+  state.cart.items[0].q = 2;
+  delete state.cart.items[0].q;
+  assert.deepEqual(changes.map(({ type, path }) => [type, path.join('.')]), [
+    ['push', 'cart.items'],
+    ['set', 'cart.items.0.q'],
+    ['delete', 'cart.items.0.q'],
+  ]);
+});
+
+test('change paths follow objects that moved since they were first read', () => {
+  const { LiteZ } = requireLiteZ();
+  const state = LiteZ.createReactive({ items: [{ q: 1 }, { q: 2 }, { q: 3 }], selected: null });
+  const paths = [];
+  LiteZ.watchReactive(state, (change) => paths.push(change.path.join('.')));
+  const second = state.items[1];
+  assert.equal(second.q, 2);
+  state.items.splice(0, 1);
+  state.items[0].q = 5;
+  state.items.unshift({ q: 0 });
+  second.q = 6;
+  state.items.sort((a, b) => b.q - a.q);
+  second.q = 7;
+  assert.deepEqual(paths, ['items', 'items.0.q', 'items', 'items.1.q', 'items', 'items.0.q']);
+});
+
+test('an object reachable by two paths reports one that is current', () => {
+  const { LiteZ } = requireLiteZ();
+  const item = { q: 1 };
+  const state = LiteZ.createReactive({ items: [item], selected: item });
+  const paths = [];
+  LiteZ.watchReactive(state, (change) => paths.push(change.path.join('.')));
+  state.items[0].q = 2;
+  state.items = [];
+  state.selected.q = 3;
+  assert.deepEqual(paths, ['items.0.q', 'items', 'selected.q']);
+});
+
+test('memoised computeds ignore fresh but shallowly equal results', () => {
+  const { LiteZ } = requireLiteZ();
+  const items = LiteZ.createSignal([1, 2, 3]);
+  const even = LiteZ.createComputed(() => items.get().filter((n) => n % 2 === 0));
+  const counts = LiteZ.createComputed(() => ({ total: items.get().length }));
+  const runs = { even: 0, counts: 0 };
+  LiteZ.useEffect(() => (even.get(), runs.even++));
+  LiteZ.useEffect(() => (counts.get(), runs.counts++));
+  items.set([1, 2, 5]);
+  assert.deepEqual(runs, { even: 1, counts: 1 });
+  items.set([2, 4, 6]);
+  assert.deepEqual(runs, { even: 2, counts: 1 });
+
+  const list = [1];
+  const source = LiteZ.createSignal(list);
+  const same = LiteZ.createComputed(() => source.get());
+  let seen = 0;
+  LiteZ.useEffect(() => (same.get(), seen++));
+  list.push(2); // Mutated in place, then written back
+  source.set(list);
+  assert.equal(seen, 2);
+});
+
+test('the legacy two-argument createComputed keeps the createState shape', () => {
+  const { LiteZ } = requireLiteZ();
+  const state = LiteZ.createState({ first: 'Ada', last: 'Lovelace' });
+  const name = LiteZ.createComputed(state, (value) => ({ full: `${value.first} ${value.last}`, initial: value.first[0] }));
+  assert.equal(name.get('full'), 'Ada Lovelace');
+  name.set({ initial: 'a' });
+  assert.deepEqual(name.get(), { full: 'Ada Lovelace', initial: 'a' });
+  state.set({ first: 'Grace' });
+  assert.deepEqual(name.get(), { full: 'Grace Lovelace', initial: 'G' });
+});
+
+test('an effect that throws is reported without stopping the others', () => {
+  const { LiteZ, errors } = requireLiteZ();
+  const count = LiteZ.createSignal(0);
+  let runs = 0;
+  LiteZ.useEffect(() => {
+    if (count.get() % 2) throw new Error('boom');
+  });
+  LiteZ.useEffect(() => {
+    count.get();
+    runs++;
+  });
+  for (let n = 1; n <= 3; n++) count.set(n);
+  assert.equal(runs, 4);
+  assert.deepEqual(errors, ['Effect error: boom', 'Effect error: boom']);
+});
+
+test('the legacy createComputed memoises nested results by deep comparison', () => {
+  const { LiteZ } = requireLiteZ();
+  const state = LiteZ.createState({ items: [{ price: 2 }], note: '' });
+  const summary = LiteZ.createComputed(state, (value) => ({ totals: { sum: value.items.reduce((sum, item) => sum + item.price, 0) } }));
+  const seen = [];
+  summary.subscribe((value) => seen.push(value.totals.sum));
+  state.set({ note: 'unrelated' });
+  state.set({ items: [{ price: 2 }, { price: 3 }] });
+  assert.deepEqual(seen, [5]);
+});
@@ -0,0 +1,256 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, requireLiteZ, flush } = require('./helpers');
+
+test('matches the most specific route and decodes params', () => {
+  const { LiteZ } = requireLiteZ();
+  const routes = LiteZ._normalizeRoutes({
+    '/users/:id': { component: 'User' },
+    '/users/new': { component: 'NewUser' },
+    '/files/*rest': { component: 'Files' },
+    '/posts/:id(\\d+)': { component: 'Post' },
+  });
+  assert.equal(LiteZ._matchRoute('/users/new', routes).route.component, 'NewUser');
+  assert.deepEqual(LiteZ._matchRoute('/users/a%20b', routes).params, { id: 'a b' });
+  assert.deepEqual(LiteZ._matchRoute('/files/a/b.txt', routes).params, { rest: 'a/b.txt' });
+  assert.equal(LiteZ._matchRoute('/posts/abc', routes).route.component, 'NotFound');
+});
+
+test('navigates, runs guards and renders the matched component', async () => {
+  const { LiteZ, document } = setup();
+  LiteZ.createComponent('Home', { template: () => '<p>home</p>' });
+  LiteZ.createComponent('User', { template: (state) => `<p>user ${state.params.id}</p>` });
+  const router = LiteZ.router({
+    '/': { component: 'Home' },
+    '/users/:id': { component: 'User', name: 'user' },
+    '/admin': { component: 'Home', middlewares: [() => false] },
+  });
+  await flush();
+  assert.equal(document.querySelector('#app').textContent, 'home');
+  assert.equal(await router.navigate({ name: 'user', params: { id: 7 } }), true);
+  assert.equal(document.querySelector('#app').textContent, 'user 7');
+  assert.equal(await router.navigate('/admin'), false);
+  assert.equal(document.querySelector('#app').textContent, 'user 7');
+  assert.equal(LiteZ.currentRoute.fullPath, '/users/7');
+});
+
+test('an unregistered errorComponent is reported without losing the chunk error', async () => {
+  const { LiteZ, document, errors } = setup();
+  LiteZ.createComponent('Home', { template: () => '<p>home</p>' });
+  const router = LiteZ.router({
+    '/': { component: 'Home' },
+    '/broken': { component: () => Promise.reject(new Error('404 chunk')) },
+  }, '#app', { errorComponent: 'Oops', loadingComponent: 'Spinner', loadingDelay: 0, retries: 0 });
+  await flush();
+  assert.equal(await router.navigate('/broken'), false);
+  await flush();
+  assert.equal(document.querySelector('#app').textContent, 'home');
+  assert.ok(errors.some((message) => message.includes('errorComponent "Oops" is not a registered component')));
+  assert.ok(errors.some((message) => message.includes('404 chunk')));
+});
+
+test('a load that beats its timeout clears the timer', async () => {
+  const { LiteZ } = requireLiteZ();
+  const cleared = [];
+  const original = global.clearTimeout;
+  global.clearTimeout = (id) => {
+    if (id) cleared.push(id);
+    original(id);
+  };
+  try {
+    assert.equal(await LiteZ._retry(() => Promise.resolve('ok'), { timeout: 60000 }), 'ok');
+  } finally {
+    global.clearTimeout = original;
+  }
+  assert.equal(cleared.length, 1);
+});
+
+test('nested layouts render their own outlet and only re-render when it changes', async () => {
+  const { LiteZ, document } = setup();
+  const updates = { Shell: 0, Section: 0 };
+  const track = (name) => ({ onUpdate: () => updates[name]++ });
+  LiteZ.createComponent('Shell', { template: () => '<z-router-view></z-router-view>', lifecycles: track('Shell') });
+  LiteZ.createComponent('Section', { template: () => '<section><z-router-view></z-router-view></section>', lifecycles: track('Section') });
+  LiteZ.createComponent('First', { template: () => '<p>first</p>' });
+  LiteZ.createComponent('Second', { template: () => '<p>second</p>' });
+  const router = LiteZ.router({
+    '/': { component: 'Shell', children: { 'items': { component: 'Section', children: { '/a': { component: 'First' }, '/b': { component: 'Second' } } } } },
+  });
+  await flush();
+  await router.navigate('/items/a');
+  assert.equal(document.querySelector('#app').innerHTML, '<z-router-view><section><z-router-view><p>first</p></z-router-view></section></z-router-view>');
+  const before = { ...updates };
+  await router.navigate('/items/b');
+  assert.equal(document.querySelector('section p').textContent, 'second');
+  assert.equal(updates.Shell, before.Shell);
+  assert.equal(updates.Section, before.Section + 1);
+});
+
+test('useQueryState updates at once and skips guards and loaders', async () => {
+  const { LiteZ, document, window } = setup();
+  let guarded = 0;
+  let loaded = 0;
+  LiteZ.createComponent('Search', { template: (state) => `<p>${state.query.q ?? ''} ${state.hits}</p>` });
+  LiteZ.router({
+    '/search': { component: 'Search', middlewares: [() => ++guarded], loader: () => ({ hits: ++loaded }) },
+  }, '#app');
+  await LiteZ._router.navigate('/search');
+  const historyLength = window.history.length;
+  const q = LiteZ.useQueryState('q');
+  q.set('a');
+  assert.equal(q.get(), 'a');
+  q.value = 'ab';
+  assert.equal(q.value, 'ab');
+  assert.equal(window.location.search, '?q=ab');
+  assert.equal(window.history.length, historyLength);
+  assert.equal(guarded, 1);
+  assert.equal(loaded, 1);
+  await flush();
+  assert.equal(document.querySelector('#app').textContent, 'ab 1');
+});
+
+test('a persistent layout drops loader data its level no longer returns', async () => {
+  const { LiteZ, document } = setup();
+  LiteZ.createComponent('Shell', { template: (state) => `<div><b>${'banner' in state ? state.banner : 'none'}</b><z-router-view></z-router-view></div>` });
+  LiteZ.createComponent('Page', { template: () => '<p>page</p>' });
+  const router = LiteZ.router({
+    '/': {
+      component: 'Shell',
+      loader: ({ path }) => (path === '/sale' ? { banner: 'sale' } : {}),
+      children: { '/sale': { component: 'Page' }, '/plain': { component: 'Page' } },
+    },
+  });
+  await flush();
+  await router.navigate('/sale');
+  await flush();
+  assert.equal(document.querySelector('b').textContent, 'sale');
+  const shell = document.querySelector('#app')._zInstance;
+  await router.navigate('/plain');
+  await flush();
+  assert.equal(document.querySelector('#app')._zInstance, shell);
+  assert.equal(document.querySelector('b').textContent, 'none');
+});
+
+test('an unbound hover-prefetch link no longer prefetches', async () => {
+  const { LiteZ, document, window } = setup('<div id="app"></div><div id="router"></div>');
+  LiteZ.createComponent('Home', { template: () => '<p>home</p>' });
+  LiteZ.createComponent('Nav', {
+    template: () => `<nav><a key="home" data-z-if="shown" data-z-link="'/'">home</a><a key="kept" data-z-link="'/'">kept</a></nav>`,
+  });
+  const router = LiteZ.router({ '/': { component: 'Home' } }, '#router');
+  const prefetched = [];
+  router.prefetch = (path) => Promise.resolve(prefetched.push(path));
+  LiteZ.vRender('Nav', { shown: true }, '#app');
+  const [removed, kept] = document.querySelectorAll('a');
+  document.querySelector('#app')._zInstance.state.set({ shown: false });
+  await flush();
+  assert.equal(removed.isConnected, false);
+  removed.dispatchEvent(new window.Event('mouseenter'));
+  kept.dispatchEvent(new window.Event('mouseenter'));
+  assert.deepEqual(prefetched, ['/']);
+});
+
+test('z-link clicks navigate in place, .replace reuses the entry, active classes follow', async () => {
+  const { LiteZ, document, window } = setup('<div id="nav"></div><div id="app"></div>');
+  LiteZ.createComponent('Home', { template: () => '<p>home</p>' });
+  LiteZ.createComponent('Users', { template: () => '<section><z-router-view></z-router-view></section>' });
+  LiteZ.createComponent('User', { template: (state) => `<p>user ${state.params.id}</p>` });
+  LiteZ.createComponent('Nav', {
+    template: () => `<nav><a class="home" data-z-link="'/'">home</a><a class="users" data-z-link="'/users'">users</a>
+      <a class="one" data-z-link.replace="{ name: 'user', params: { id: '1' } }">one</a></nav>`,
+  });
+  LiteZ.router({
+    '/': { component: 'Home' },
+    '/users': { component: 'Users', children: { '/:id': { component: 'User', name: 'user' } } },
+  });
+  LiteZ.vRender('Nav', {}, '#nav');
+  await flush();
+  const link = (name) => document.querySelector(`.${name}`);
+  const click = (name, options = {}) => link(name).dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ...options }));
+  assert.equal(link('one').getAttribute('href'), '/users/1');
+  assert.equal(link('home').getAttribute('aria-current'), 'page');
+
+  const length = window.history.length;
+  assert.equal(click('users'), false); // Default prevented
+  await flush();
+  assert.equal(window.location.pathname, '/users');
+  assert.equal(window.history.length, length + 1);
+  assert.equal(click('one'), false);
+  await flush();
+  assert.equal(document.querySelector('#app').textContent, 'user 1');
+  assert.equal(window.history.length, length + 1);
+  assert.deepEqual([...link('users').classList], ['users', 'z-link-active']);
+  assert.deepEqual([...link('one').classList], ['one', 'z-link-active', 'z-link-exact-active']);
+  assert.equal(link('one').getAttribute('aria-current'), 'page');
+  assert.equal(link('home').className, 'home');
+
+  assert.equal(click('home', { ctrlKey: true }), true); // Left to the browser
+  await flush();
+  assert.equal(window.location.pathname, '/users/1');
+});
+
+test('a newer navigation cancels a pending guard; beforeLeave, afterEach and onError', async () => {
+  const { LiteZ, document } = setup();
+  ['Home', 'Slow', 'Fast', 'Form', 'Broken'].forEach((name) => LiteZ.createComponent(name, { template: () => `<p>${name}</p>` }));
+  let dirty = true;
+  const router = LiteZ.router({
+    '/': { component: 'Home' },
+    '/slow': { component: 'Slow' },
+    '/fast': { component: 'Fast' },
+    '/form': { component: 'Form', beforeLeave: () => !dirty },
+    '/broken': { component: 'Broken', loader: () => Promise.reject(new Error('no data')) },
+  });
+  await flush();
+  let release;
+  let slowSignal;
+  router.beforeEach(({ path, signal }) => {
+    if (path !== '/slow') return true;
+    slowSignal = signal;
+    return new Promise((resolve) => (release = resolve));
+  });
+  const visits = [];
+  const failures = [];
+  router.afterEach((to, from) => visits.push(`${from.path} -> ${to.path}`));
+  router.onError((error, to) => failures.push(`${to.path}: ${error.message}`));
+
+  const slow = router.navigate('/slow');
+  await flush();
+  assert.equal(await router.navigate('/fast'), true);
+  assert.equal(slowSignal.aborted, true);
+  release(true);
+  assert.equal(await slow, false);
+  assert.equal(document.querySelector('#app').textContent, 'Fast');
+
+  await router.navigate('/form');
+  assert.equal(await router.navigate('/'), false);
+  assert.equal(LiteZ.currentRoute.path, '/form');
+  dirty = false;
+  assert.equal(await router.navigate('/broken'), false);
+  assert.equal(document.querySelector('#app').textContent, 'Form');
+  assert.deepEqual(visits, ['/ -> /fast', '/fast -> /form']);
+  assert.deepEqual(failures, ['/broken: no data']);
+});
+
+test('back and forward restore the scroll position the entry was left at', async () => {
+  const { LiteZ, window } = setup();
+  LiteZ.createComponent('Page', { template: (state) => `<p>${state.params.id}</p>` });
+  const router = LiteZ.router({ '/:id': { component: 'Page' } }, '#app');
+  const scrolls = [];
+  window.scrollTo = (left, top) => scrolls.push(top);
+  let offset = 0;
+  Object.defineProperty(window, 'scrollY', { get: () => offset, configurable: true });
+  await router.navigate('/a');
+  offset = 300;
+  await router.navigate('/b');
+  offset = 40;
+  assert.deepEqual(scrolls, [0, 0]);
+
+  window.history.back();
+  await flush(20);
+  assert.equal(window.location.pathname, '/a');
+  assert.deepEqual(scrolls, [0, 0, 300]);
+  window.history.forward();
+  await flush(20);
+  assert.deepEqual(scrolls, [0, 0, 300, 40]);
+});
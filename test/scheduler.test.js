@@ -0,0 +1,40 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./helpers');
+
+test('state changes in one tick render once, and nextTick waits for the DOM', async () => {
+  const { LiteZ, document } = setup();
+  let updates = 0;
+  LiteZ.createComponent('Counter', {
+    template: (state) => `<p>${state.count}</p>`,
+    lifecycles: { onUpdate: () => updates++ },
+  });
+  LiteZ.vRender('Counter', { count: 0 }, '#app');
+  const { state } = document.querySelector('#app')._zInstance;
+  state.set({ count: 1 });
+  state.set({ count: 2 });
+  state.set({ count: 3 });
+  assert.equal(document.querySelector('p').textContent, '0');
+  let seen = null;
+  await LiteZ.nextTick(() => (seen = document.querySelector('p').textContent));
+  assert.equal(seen, '3');
+  assert.equal(updates, 1);
+});
+
+test('a failing update job is reported and later updates still flush', async () => {
+  const { LiteZ, document, errors } = setup();
+  LiteZ.createComponent('Label', { template: (state) => `<p>${state.text}</p>` });
+  LiteZ.vRender('Label', { text: 'a' }, '#app');
+  const { state } = document.querySelector('#app')._zInstance;
+  LiteZ._queueUpdate(() => {
+    throw new Error('job failed');
+  });
+  state.set({ text: 'b' });
+  await LiteZ.nextTick();
+  assert.equal(document.querySelector('p').textContent, 'b');
+  assert.deepEqual(errors, ['Update error: job failed']);
+  state.set({ text: 'c' });
+  await LiteZ.nextTick();
+  assert.equal(document.querySelector('p').textContent, 'c');
+});
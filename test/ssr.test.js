@@ -0,0 +1,91 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, requireLiteZ, flush } = require('./helpers');
+
+const defineCounter = (LiteZ) => {
+  LiteZ.createComponent('Counter', {
+    template: (state) => `<button data-on="click:inc">${state.count}</button>`,
+    setup: (state) => ({ inc: () => state.set({ count: state.get('count') + 1 }) }),
+  });
+};
+
+test('renders to a string with serialized state and hydrates it', async () => {
+  const server = requireLiteZ();
+  defineCounter(server.LiteZ);
+  const html = server.LiteZ.renderToString('Counter', { count: 4 });
+  assert.match(html, /<button data-on="click:inc">4<\/button>/);
+  assert.match(html, /data-z-state>\[\{"count":4\}\]<\/script>$/);
+
+  const { LiteZ, document } = setup(`<div id="app">${html}</div>`);
+  defineCounter(LiteZ);
+  const button = document.querySelector('button');
+  LiteZ.hydrate('Counter', '#app');
+  assert.equal(document.querySelector('button'), button); // Server markup is kept
+  button.click();
+  await flush();
+  assert.equal(button.textContent, '5');
+});
+
+test('components under a false z-if take no server state while hydrating', async () => {
+  const define = (LiteZ) => {
+    defineCounter(LiteZ);
+    LiteZ.createComponent('Page', {
+      template: (state) => `<main><section data-z-if="open"><Counter :count="1"></Counter></section><Counter :count="2"></Counter></main>`,
+    });
+  };
+  const server = requireLiteZ();
+  define(server.LiteZ);
+  const html = server.LiteZ.renderToString('Page', { open: false });
+  assert.doesNotMatch(html, /<section/);
+
+  const { LiteZ, document } = setup(`<div id="app">${html}</div>`);
+  define(LiteZ);
+  LiteZ.hydrate('Page', '#app');
+  const button = document.querySelector('button');
+  assert.equal(document.querySelectorAll('button').length, 1);
+  button.click();
+  await flush();
+  assert.equal(button.textContent, '3');
+  assert.equal(LiteZ._mountedRoots.size, 1);
+  const [page] = LiteZ._mountedRoots;
+  assert.equal(page.children.size, 1);
+  assert.ok([...page.children.values()][0].hydrated);
+
+  page.state.set({ open: true });
+  await flush();
+  assert.deepEqual(Array.from(document.querySelectorAll('button'), (el) => el.textContent), ['1', '3']);
+});
+
+const streamRoute = async (LiteZ, url, routes) => {
+  let html = '';
+  for await (const chunk of LiteZ.renderRoute(url, { routes })) html += chunk;
+  return html;
+};
+
+test('streams a route with loader data and component asyncData', async () => {
+  const { LiteZ } = requireLiteZ();
+  LiteZ.createComponent('Shell', { template: (state) => `<main>${state.title}<z-router-view></z-router-view></main>` });
+  LiteZ.createComponent('Profile', {
+    template: (state) => `<p>${state.params.id} ${state.name} ${state.visits}</p>`,
+    asyncData: async ({ params }) => ({ visits: Number(params.id) * 10 }),
+  });
+  const html = await streamRoute(LiteZ, '/users/4', {
+    '/': { component: 'Shell', loader: () => ({ title: 'App' }), children: { '/users/:id': { component: 'Profile', loader: async () => ({ name: 'Ada' }) } } },
+  });
+  assert.match(html, /^<main>App<z-router-view><p>4 Ada 40<\/p><\/z-router-view><\/main>/);
+  assert.match(html, /"visits":40/);
+});
+
+test('failing loaders and asyncData are reported and the stream completes', async () => {
+  const { LiteZ, errors } = requireLiteZ();
+  LiteZ.createComponent('Page', {
+    template: (state) => `<p>${state.name ?? 'no data'} ${state.extra ?? 'no extra'}</p>`,
+    asyncData: async () => {
+      throw new Error('api down');
+    },
+  });
+  const html = await streamRoute(LiteZ, '/', { '/': { component: 'Page', loader: async () => { throw new Error('db down'); } } });
+  assert.match(html, /^<p>no data no extra<\/p><script/);
+  assert.deepEqual(errors, ['Route data for "/" failed to load: db down', 'asyncData failed in "Page": api down']);
+});
@@ -0,0 +1,122 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireLiteZ } = require('./helpers');
+
+const cart = () => ({
+  state: () => ({ items: [] }),
+  mutations: { add: (state, item) => state.set({ items: [...state.get('items'), item] }) },
+  actions: { add: ({ commit }, item) => commit('add', item) },
+  getters: { total: (state) => state.items.reduce((sum, item) => sum + item.price, 0) },
+});
+
+test('namespaced modules commit, dispatch and compute getters', async () => {
+  const { LiteZ } = requireLiteZ();
+  const store = LiteZ.createStore({ state: { user: null }, modules: { cart: cart() } });
+  await store.dispatch('cart/add', { price: 2 });
+  store.commit('cart/add', { price: 3 });
+  assert.equal(store.getters['cart/total'], 5);
+  assert.equal(store.state.get().cart.items.length, 2);
+  store.registerModule('todos', { state: { list: [] } });
+  assert.ok(store.hasModule('todos'));
+  store.unregisterModule('todos');
+  assert.equal(store.hasModule('todos'), false);
+});
+
+test('strict mode rejects changes made outside mutations', () => {
+  const { LiteZ } = requireLiteZ();
+  const store = LiteZ.createStore({ strict: true, state: { n: 0 }, mutations: { inc: (state) => state.set({ n: state.get('n') + 1 }) } });
+  store.commit('inc');
+  assert.equal(store.state.get('n'), 1);
+  assert.throws(() => store.state.set({ n: 5 }), /strict mode/);
+});
+
+test('subscribers and middlewares see each mutation', () => {
+  const { LiteZ } = requireLiteZ();
+  const seen = [];
+  const store = LiteZ.createStore({
+    state: { n: 0 },
+    mutations: { set: (state, n) => state.set({ n }) },
+    middlewares: [(op, next) => next({ ...op, payload: op.payload * 10 })],
+  });
+  store.subscribe((mutation, state) => seen.push([mutation.type, state.n]));
+  store.commit('set', 2);
+  assert.deepEqual(seen, [['set', 20]]);
+});
+
+test('strict mode freezes its own copies, not the objects passed in', () => {
+  const { LiteZ } = requireLiteZ();
+  const store = LiteZ.createStore({
+    strict: true,
+    state: { items: [] },
+    mutations: { add: (state, item) => state.set({ items: [...state.get('items'), item] }) },
+  });
+  const item = { name: 'pen', tags: ['blue'] };
+  store.commit('add', item);
+  item.name = 'pencil';
+  item.tags.push('red');
+  assert.deepEqual(store.state.get('items'), [{ name: 'pen', tags: ['blue'] }]);
+  assert.ok(Object.isFrozen(store.state.get('items')[0]));
+  assert.throws(() => store.state.get('items').push({}));
+});
+
+test('replaceState swaps the whole state instead of merging', () => {
+  const { LiteZ } = requireLiteZ();
+  const store = LiteZ.createStore({ state: { a: 1 }, mutations: { add: (state, key) => state.set({ [key]: true }) } });
+  const snapshot = JSON.parse(JSON.stringify(store.state.get()));
+  store.commit('add', 'b');
+  store.replaceState(snapshot);
+  assert.deepEqual(store.state.get(), { a: 1 });
+  assert.equal(store.state.get('b'), undefined);
+});
+
+test('module getters only re-run when their own module changes', () => {
+  const { LiteZ } = requireLiteZ();
+  const runs = { cart: 0, user: 0 };
+  const module = (name) => ({
+    state: () => ({ items: [] }),
+    mutations: { add: (state, item) => state.set({ items: [...state.get('items'), item] }) },
+    getters: { count: (state) => (runs[name]++, state.items.length) },
+  });
+  const store = LiteZ.createStore({ modules: { cart: module('cart'), user: module('user') } });
+  const read = () => [store.getters['cart/count'], store.getters['user/count']];
+  assert.deepEqual(read(), [0, 0]);
+  store.commit('cart/add', 1);
+  store.commit('cart/add', 2);
+  assert.deepEqual(read(), [2, 0]);
+  assert.deepEqual(runs, { cart: 2, user: 1 });
+});
+
+test('action subscribers, middleware order and plugins', async () => {
+  const { LiteZ } = requireLiteZ();
+  const log = [];
+  const tag = (name) => (op, next) => {
+    log.push(`${name} ${op.kind} ${op.type}`);
+    return next(op);
+  };
+  const store = LiteZ.createStore({
+    state: { n: 0 },
+    mutations: { set: (state, n) => state.set({ n }) },
+    actions: {
+      save: ({ commit }, n) => commit('set', n),
+      fail: () => Promise.reject(new Error('offline')),
+    },
+    middlewares: [tag('first')],
+    plugins: [(instance) => instance.subscribeAction({
+      before: (action) => log.push(`before ${action.type}`),
+      after: (action, state) => log.push(`after ${action.type} ${state.n}`),
+      error: (action, state, error) => log.push(`error ${action.type} ${error.message}`),
+    })],
+  });
+  const stop = store.use(tag('second'));
+  await store.dispatch('save', 3);
+  assert.deepEqual(log, [
+    'first action save', 'second action save', 'before save',
+    'first mutation set', 'second mutation set', 'after save 3',
+  ]);
+
+  log.length = 0;
+  stop();
+  await assert.rejects(store.dispatch('fail'), /offline/);
+  assert.deepEqual(log, ['first action fail', 'before fail', 'error fail offline']);
+});
@@ -0,0 +1,91 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { setup, requireLiteZ, flush } = require('./helpers');
+
+// Compiles `source` with the CLI's generator and imports the module it writes
+const compileAndImport = async (name, source) => {
+  const { LiteZ } = requireLiteZ();
+  const { generateModule } = require('../zjs-compile.js');
+  const compiled = LiteZ.compileZJS(source, { name, filename: `${name}.zjs` });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zjs-'));
+  const file = path.join(dir, `${name}.mjs`);
+  fs.writeFileSync(file, generateModule(compiled, { cssFile: null }));
+  globalThis.LiteZ = LiteZ;
+  try {
+    return { LiteZ, exported: (await import(pathToFileURL(file).href)).default };
+  } finally {
+    delete globalThis.LiteZ;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('generated modules register the component through the public API', async () => {
+  const { LiteZ, exported } = await compileAndImport('Greeting', `
+<template><p>{{ greeting }}, {{ name | uppercase }}</p></template>
+<script>
+export default { methods: {}, computed: { greeting: () => 'Hello' } };
+</script>`);
+  assert.equal(exported, 'Greeting');
+  assert.equal(LiteZ.renderToString('Greeting', { name: 'ada' }, { state: false }), '<p>Hello, ADA</p>');
+});
+
+test('a module script without a default export still compiles to a working module', async () => {
+  const { LiteZ, exported } = await compileAndImport('Plain', `
+<template><p>{{ label }}</p></template>
+<script>
+export const helper = () => 1;
+</script>`);
+  assert.equal(exported, 'Plain');
+  assert.equal(LiteZ.renderToString('Plain', { label: 'ok' }, { state: false }), '<p>ok</p>');
+});
+
+test('<script setup> keeps its line numbers and its imports', async () => {
+  const { LiteZ, exported } = await compileAndImport('Joined', `
+<template><p>{{ joined }}</p></template>
+<script setup>
+import {
+  posix,
+} from 'node:path';
+export const joined = posix.join('a', 'b');
+</script>`);
+  assert.equal(exported, 'Joined');
+  assert.equal(LiteZ.renderToString('Joined', {}, { state: false }), '<p>a/b</p>');
+  const compiled = LiteZ.compileZJS('<script setup>\nimport x from "./x.js";\n\nexport const y = x;\n</script>');
+  assert.match(compiled.script.split('\n')[2], /const y = x/);
+});
+
+test('script load errors point at their line in the .zjs file', async () => {
+  const { LiteZ, window, errors } = setup();
+  window.fetch = async () => ({ text: async () => '<template><p></p></template>\n<script>\nconst a = 1;\nundefinedCall();\n</script>' });
+  LiteZ._importScript = async () => {
+    const error = new window.Error('undefinedCall is not defined');
+    error.stack = `ReferenceError: undefinedCall is not defined\n    at blob:http://localhost/3f2a-11:2:1`;
+    throw error;
+  };
+  await LiteZ.createComponentFromFile('http://localhost/Broken.zjs', 'Broken');
+  await flush();
+  assert.deepEqual(errors, ['Failed to load .zjs file: Broken.zjs:4 <script> failed to load: undefinedCall is not defined']);
+});
+
+test('scoped styles use an attribute outside the directive namespace', () => {
+  const { LiteZ, document, errors } = setup();
+  const compiled = LiteZ.compileZJS('<template><p class="note">hi</p></template><style scoped>.note { color: red; }</style>', { name: 'Note' });
+  assert.match(compiled.scopeId, /^data-zs-/);
+  assert.match(compiled.css, new RegExp(`\\.note\\[${compiled.scopeId}\\]`));
+  const applied = [];
+  const apply = LiteZ._applyDirectives;
+  LiteZ._applyDirectives = function (instance, elements) {
+    applied.push(...elements);
+    return apply.call(this, instance, elements);
+  };
+  LiteZ.defineZJSComponent('Note', compiled, {});
+  LiteZ.vRender('Note', {}, '#app');
+  assert.ok(document.querySelector('p').hasAttribute(compiled.scopeId));
+  assert.deepEqual(applied, []);
+  assert.deepEqual(errors, []);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// Build-time .zjs compiler: turns single-file components into plain ES modules that register
+// themselves with the global LiteZ, so apps can ship without fetch or eval at runtime.
+//
+//   node zjs-compile.js <file.zjs|dir>... [--out dist] [--extract-css] [--watch]
+//
+// Load LiteZ.js with a classic <script> first, then import the generated modules.
+
+const fs = require('fs');
+const path = require('path');
+const LiteZ = require('./LiteZ.js');
+
+const usage = 'Usage: node zjs-compile.js <file.zjs|dir>... [--out <dir>] [--extract-css] [--watch]';
+
+const parseArgs = (argv) => {
+  const options = { inputs: [], outDir: null, extractCSS: false, watch: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out' || arg === '-o') options.outDir = argv[++i];
+    else if (arg === '--extract-css') options.extractCSS = true;
+    else if (arg === '--watch' || arg === '-w') options.watch = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}\n${usage}`);
+    else options.inputs.push(arg);
+  }
+  return options;
+};
+
+const findZJS = (input) => {
+  const stat = fs.statSync(input);
+  if (!stat.isDirectory()) return [input];
+  return fs.readdirSync(input, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(input, entry.name);
+    if (entry.isDirectory()) return entry.name === 'node_modules' ? [] : findZJS(full);
+    return entry.name.endsWith('.zjs') ? [full] : [];
+  });
+};
+
+// Output path for a source file: mirrors its location under the input root into --out
+const outputPath = (file, root, outDir) => {
+  const base = fs.statSync(root).isDirectory() ? root : path.dirname(root);
+  const dir = outDir ? path.join(outDir, path.relative(base, path.dirname(file))) : path.dirname(file);
+  return path.join(dir, `${path.basename(file, '.zjs')}.js`);
+};
+
+const toImportPath = (from, to) => {
+  const relative = path.relative(path.dirname(from), to).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+};
+
+// The component script becomes a local binding: its `export default` is the definition
+// (or, for <script setup>, the setup function) handed to LiteZ.defineZJSComponent. A script
+// without one defines nothing, like a .zjs loaded at runtime.
+const generateModule = (compiled, { cssFile }) => {
+  const defaultExport = /^[ \t]*export\s+default\s+/m;
+  const script = defaultExport.test(compiled.script)
+    ? compiled.script.replace(defaultExport, 'const __zjsDefinition = ')
+    : `${compiled.script.trim()}\nconst __zjsDefinition = {};`;
+  const options = {
+    segments: compiled.segments,
+    css: cssFile ? '' : compiled.css,
+    scopeId: compiled.scopeId,
+    scriptSetup: compiled.scriptSetup,
+  };
+  return [
+    `// Compiled from ${compiled.filename} by zjs-compile.js. Do not edit.`,
+    cssFile ? `// Styles: ${cssFile}` : null,
+    script.trim(),
+    '',
+    `export default globalThis.LiteZ.defineZJSComponent(${JSON.stringify(compiled.name)}, ${JSON.stringify(options)}, __zjsDefinition);`,
+    '',
+  ].filter((line) => line !== null).join('\n');
+};
+
+const compileFile = (file, root, options) => {
+  const source = fs.readFileSync(file, 'utf8');
+  const outFile = outputPath(file, root, options.outDir);
+  const name = path.basename(file, '.zjs');
+  const compiled = LiteZ.compileZJS(source, {
+    name,
+    filename: path.relative(process.cwd(), file),
+    resolveImport: (spec) => toImportPath(outFile, path.resolve(path.dirname(file), spec)),
+  });
+  const cssFile = options.extractCSS && compiled.css ? `${name}.css` : null;
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, generateModule(compiled, { cssFile }));
+  if (cssFile) fs.writeFileSync(path.join(path.dirname(outFile), cssFile), `${compiled.css}\n`);
+  return outFile;
+};
+
+// Compiles every .zjs under the inputs; returns the number of files that failed
+const build = (options, only = null) => {
+  let failed = 0;
+  options.inputs.forEach((root) => {
+    findZJS(root).forEach((file) => {
+      if (only && path.resolve(file) !== path.resolve(only)) return;
+      try {
+        const outFile = compileFile(file, root, options);
+        console.log(`${file} -> ${outFile}`);
+      } catch (e) {
+        failed++;
+        console.error(`error: ${e.message}`);
+      }
+    });
+  });
+  return failed;
+};
+
+const watch = (options) => {
+  const timers = new Map();
+  options.inputs.forEach((root) => {
+    const isDir = fs.statSync(root).isDirectory();
+    fs.watch(root, { recursive: isDir }, (event, filename) => {
+      const file = isDir ? path.join(root, filename || '') : root;
+      if (!file.endsWith('.zjs') || !fs.existsSync(file)) return;
+      // Editors often emit several events per save
+      clearTimeout(timers.get(file));
+      timers.set(file, setTimeout(() => build(options, file), 50));
+    });
+  });
+  console.log('Watching for changes...');
+};
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.inputs.length) {
+    console.log(usage);
+    return;
+  }
+  const failed = build(options);
+  if (options.watch) watch(options);
+  else if (failed) process.exitCode = 1;
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { compileFile, generateModule };